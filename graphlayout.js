@@ -0,0 +1,214 @@
+// Force-directed layout for the note graph, used by the app window.
+// Notes push each other apart, links pull the notes at their ends together and a weak pull
+// keeps the whole graph around the origin; velocities lose part of their speed every tick and
+// the forces fade out ("alpha" cools) until the layout is still. Repulsion is approximated with a
+// Barnes-Hut quadtree, so one tick costs about n log n and a few thousand notes stay smooth.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GraphLayout = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const REPULSION = 40;          // how hard two notes push apart
+  const THETA2 = 0.81;           // Barnes-Hut accuracy: a cell this small for its distance counts as one body
+  const LINK_DISTANCE = 36;      // rest length of a link
+  const CENTER_STRENGTH = 0.015; // pull towards the origin
+  const VELOCITY_DECAY = 0.4;
+  const ALPHA_MIN = 0.002;
+  const ALPHA_DECAY = 1 - Math.pow(ALPHA_MIN, 1 / 300); // about 300 ticks from a cold start
+  const MAX_DEPTH = 24;          // notes closer than this many halvings share a leaf
+
+  // One quadtree cell: a leaf holds note indices, an inner cell four children (some null)
+  function makeCell(x0, y0, size) {
+    return { x0, y0, size, mass: 0, cx: 0, cy: 0, children: null, items: null };
+  }
+
+  function buildTree(x, y, count) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (x[i] < minX) minX = x[i];
+      if (x[i] > maxX) maxX = x[i];
+      if (y[i] < minY) minY = y[i];
+      if (y[i] > maxY) maxY = y[i];
+    }
+    const size = Math.max(maxX - minX, maxY - minY, 1) * 1.0001;
+    const tree = makeCell(minX, minY, size);
+    for (let i = 0; i < count; i++) insert(tree, i, x, y, 0);
+    accumulate(tree, x, y);
+    return tree;
+  }
+
+  function insert(cell, i, x, y, depth) {
+    for (;;) {
+      if (cell.children) {
+        const half = cell.size / 2;
+        const right = x[i] >= cell.x0 + half ? 1 : 0;
+        const below = y[i] >= cell.y0 + half ? 1 : 0;
+        const k = right + below * 2;
+        if (!cell.children[k]) cell.children[k] = makeCell(cell.x0 + right * half, cell.y0 + below * half, half);
+        cell = cell.children[k];
+        depth++;
+        continue;
+      }
+      if (!cell.items) {
+        cell.items = [i];
+        return;
+      }
+      if (depth >= MAX_DEPTH) {
+        cell.items.push(i);
+        return;
+      }
+      // Split the leaf and push its note down with the new one
+      const items = cell.items;
+      cell.items = null;
+      cell.children = [null, null, null, null];
+      for (const j of items) insert(cell, j, x, y, depth);
+    }
+  }
+
+  function accumulate(cell, x, y) {
+    let mass = 0, cx = 0, cy = 0;
+    if (cell.items) {
+      for (const i of cell.items) {
+        cx += x[i];
+        cy += y[i];
+      }
+      mass = cell.items.length;
+    } else {
+      for (const child of cell.children) {
+        if (!child) continue;
+        accumulate(child, x, y);
+        cx += child.cx * child.mass;
+        cy += child.cy * child.mass;
+        mass += child.mass;
+      }
+    }
+    cell.mass = mass;
+    cell.cx = mass ? cx / mass : 0;
+    cell.cy = mass ? cy / mass : 0;
+  }
+
+  // Velocity change for note i from every other note, far cells taken as one body
+  function repel(tree, i, x, y, vx, vy, alpha) {
+    const stack = [tree];
+    const xi = x[i], yi = y[i];
+    while (stack.length) {
+      const cell = stack.pop();
+      if (cell.items) {
+        for (const j of cell.items) {
+          if (j !== i) push(i, j, x[j] - xi, y[j] - yi, 1, vx, vy, alpha);
+        }
+        continue;
+      }
+      const dx = cell.cx - xi, dy = cell.cy - yi;
+      if (cell.size * cell.size < THETA2 * (dx * dx + dy * dy)) {
+        push(i, -1, dx, dy, cell.mass, vx, vy, alpha);
+        continue;
+      }
+      for (const child of cell.children) if (child) stack.push(child);
+    }
+  }
+
+  function push(i, j, dx, dy, mass, vx, vy, alpha) {
+    let d2 = dx * dx + dy * dy;
+    if (d2 < 1) {
+      // Notes on the same spot: nudge them apart in a direction that differs per pair
+      if (d2 === 0) {
+        const a = ((i * 7919 + j * 104729) % 360) * Math.PI / 180;
+        dx = Math.cos(a) * 0.1;
+        dy = Math.sin(a) * 0.1;
+      }
+      d2 = 1;
+    }
+    const f = REPULSION * mass * alpha / d2;
+    vx[i] -= dx * f;
+    vy[i] -= dy * f;
+  }
+
+  // A layout for `count` notes and `edges` ([from, to] index pairs). Positions are in x and y;
+  // call step() once per frame until it returns false.
+  function createLayout(count, edges) {
+    const x = new Float64Array(count);
+    const y = new Float64Array(count);
+    const vx = new Float64Array(count);
+    const vy = new Float64Array(count);
+    const degree = new Uint32Array(count);
+    for (const [a, b] of edges) {
+      degree[a]++;
+      degree[b]++;
+    }
+    // Start on a sunflower spiral, so no two notes share a spot and the first ticks are calm
+    for (let i = 0; i < count; i++) {
+      const r = 12 * Math.sqrt(i + 0.5);
+      const a = i * 2.399963229728653;
+      x[i] = r * Math.cos(a);
+      y[i] = r * Math.sin(a);
+    }
+
+    let alpha = 1;
+    let pinned = -1;
+
+    function tick() {
+      if (count > 1) {
+        const tree = buildTree(x, y, count);
+        for (let i = 0; i < count; i++) repel(tree, i, x, y, vx, vy, alpha);
+      }
+      for (const [a, b] of edges) {
+        let dx = x[b] + vx[b] - x[a] - vx[a];
+        let dy = y[b] + vy[b] - y[a] - vy[a];
+        const d = Math.sqrt(dx * dx + dy * dy) || 1;
+        // Well-connected notes move less, so hubs don't get dragged around by every leaf
+        const strength = 1 / Math.min(degree[a], degree[b]);
+        const bias = degree[a] / (degree[a] + degree[b]);
+        const k = (d - LINK_DISTANCE) / d * alpha * strength;
+        dx *= k;
+        dy *= k;
+        vx[b] -= dx * bias;
+        vy[b] -= dy * bias;
+        vx[a] += dx * (1 - bias);
+        vy[a] += dy * (1 - bias);
+      }
+      for (let i = 0; i < count; i++) {
+        if (i === pinned) {
+          vx[i] = 0;
+          vy[i] = 0;
+          continue;
+        }
+        vx[i] = (vx[i] - x[i] * CENTER_STRENGTH * alpha) * (1 - VELOCITY_DECAY);
+        vy[i] = (vy[i] - y[i] * CENTER_STRENGTH * alpha) * (1 - VELOCITY_DECAY);
+        x[i] += vx[i];
+        y[i] += vy[i];
+      }
+      alpha += (0 - alpha) * ALPHA_DECAY;
+    }
+
+    // Run ticks for up to `budgetMs`; false once the layout has settled
+    function step(budgetMs = 8) {
+      if (alpha < ALPHA_MIN) return false;
+      const until = Date.now() + budgetMs;
+      do {
+        tick();
+      } while (alpha >= ALPHA_MIN && Date.now() < until);
+      return true;
+    }
+
+    // Warm the layout up again (a note was dragged)
+    function reheat(to = 0.3) {
+      alpha = Math.max(alpha, to);
+    }
+
+    // Hold one note where it is put (-1 lets go)
+    function pin(i, px, py) {
+      pinned = i;
+      if (i >= 0) {
+        x[i] = px;
+        y[i] = py;
+      }
+    }
+
+    return { x, y, degree, step, reheat, pin, get alpha() { return alpha; } };
+  }
+
+  return { createLayout };
+});
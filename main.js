@@ -6,6 +6,9 @@ const os = require('os'); // Added for temp file handling
 const { spawn } = require('child_process');
 const { pathToFileURL } = require('url');
 const crypto = require('crypto');
+const markdown = require('./markdown');
+const noteParse = require('./noteparse');
+const searchIndex = require('./searchindex');
 
 let ffmpegPath = null;
 try {
@@ -43,6 +46,85 @@ function getFileSignature(p) {
   }
 }
 
+// Content hash the renderer keeps per note so saves can tell whether the file moved on underneath it
+function hashText(text) {
+  return crypto.createHash('sha1').update(String(text ?? ''), 'utf8').digest('hex');
+}
+
+// Write to a hidden temp file beside the target, fsync it and rename it into place, so a crash,
+// a full disk or a sync client reading mid-write never sees a truncated file. On failure the
+// temp file is removed and the previous file is left untouched.
+function writeFileAtomic(filePath, data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  const tmpPath = atomicTempPath(filePath);
+  let fd = null;
+  try {
+    fd = fs.openSync(tmpPath, 'w');
+    let offset = 0;
+    while (offset < buffer.length) {
+      offset += fs.writeSync(fd, buffer, offset, buffer.length - offset);
+    }
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (_e) {}
+    }
+    try { fs.unlinkSync(tmpPath); } catch (_e) {}
+    throw e;
+  }
+}
+
+// The same for a copy of the file at srcPath, which is never read into memory as a whole
+function copyFileAtomic(srcPath, filePath) {
+  const tmpPath = atomicTempPath(filePath);
+  let fd = null;
+  try {
+    fs.copyFileSync(srcPath, tmpPath);
+    fd = fs.openSync(tmpPath, 'r+');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch (_e) {}
+    }
+    try { fs.unlinkSync(tmpPath); } catch (_e) {}
+    throw e;
+  }
+}
+
+function atomicTempPath(filePath) {
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+}
+
+// Turn a failed write into a message the renderer can show as-is
+function describeWriteError(e, filePath) {
+  const name = path.basename(filePath);
+  switch (e && e.code) {
+    case 'ENOSPC':
+    case 'EDQUOT':
+      return `Not enough disk space to save "${name}". The previous version was kept.`;
+    case 'EACCES':
+    case 'EPERM':
+      return `No permission to write "${name}". The previous version was kept.`;
+    case 'EROFS':
+      return `"${name}" is on a read-only disk. The previous version was kept.`;
+    case 'EBUSY':
+      return `"${name}" is locked by another program. The previous version was kept.`;
+    case 'ENOENT':
+      return `The folder for "${name}" no longer exists.`;
+    default:
+      return `Could not save "${name}". ${e && e.message ? e.message : e} The previous version was kept.`;
+  }
+}
+
 function getCachedAudioPath(inputPath, outExt) {
   const sig = getFileSignature(inputPath);
   const key = crypto.createHash('sha1').update(`${inputPath}|${sig}`).digest('hex');
@@ -115,7 +197,7 @@ function loadConfig() {
 
 function saveConfig(config) {
   try {
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
+    writeFileAtomic(configPath, JSON.stringify(config, null, 2));
   } catch (e) {
     console.error('Error saving config:', e);
   }
@@ -152,6 +234,32 @@ function createMenu() {
     {
       label: 'File',
       submenu: [
+        {
+          label: 'Rename Note...',
+          accelerator: 'F2',
+          click: () => {
+            mainWindow.webContents.send('rename-note');
+          }
+        },
+        {
+          label: 'Broken Links...',
+          click: () => {
+            mainWindow.webContents.send('open-broken-links');
+          }
+        },
+        {
+          label: 'Stray Attachments...',
+          click: () => {
+            mainWindow.webContents.send('open-stray-attachments');
+          }
+        },
+        {
+          label: 'Trash...',
+          click: () => {
+            mainWindow.webContents.send('open-trash');
+          }
+        },
+        { type: 'separator' },
         ...(!isMac ? [{
           label: 'Preferences...',
           accelerator: 'CmdOrCtrl+,',
@@ -173,13 +281,58 @@ function createMenu() {
         { role: 'cut' },
         { role: 'copy' },
         { role: 'paste' },
-        { role: 'selectAll' }
+        { role: 'selectAll' },
+        { type: 'separator' },
+        {
+          label: 'Find and Replace...',
+          accelerator: 'CmdOrCtrl+F',
+          click: () => {
+            mainWindow.webContents.send('find-replace', 'note');
+          }
+        },
+        {
+          label: 'Replace in Notes...',
+          accelerator: 'CmdOrCtrl+Shift+F',
+          click: () => {
+            mainWindow.webContents.send('find-replace', 'notes');
+          }
+        }
       ]
     },
     // View menu
     {
       label: 'View',
       submenu: [
+        {
+          label: 'Editor',
+          accelerator: 'CmdOrCtrl+1',
+          click: () => {
+            mainWindow.webContents.send('set-view-mode', 'edit');
+          }
+        },
+        {
+          label: 'Split Editor and Preview',
+          accelerator: 'CmdOrCtrl+2',
+          click: () => {
+            mainWindow.webContents.send('set-view-mode', 'split');
+          }
+        },
+        {
+          label: 'Preview',
+          accelerator: 'CmdOrCtrl+3',
+          click: () => {
+            mainWindow.webContents.send('set-view-mode', 'preview');
+          }
+        },
+        { type: 'separator' },
+        {
+          label: 'Note Graph',
+          accelerator: 'CmdOrCtrl+G',
+          click: () => {
+            mainWindow.webContents.send('open-graph');
+          }
+        },
+        { type: 'separator' },
         { role: 'reload' },
         { role: 'forceReload' },
         { role: 'toggleDevTools' },
@@ -267,6 +420,9 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', async () => {
+  stopFolderWatcher();
+  flushFolderIndexes();
+
   // Clean up local LLM model
   if (currentModel) {
     try {
@@ -295,6 +451,26 @@ ipcMain.handle('save-folder-path', async (event, folderPath) => {
   return true;
 });
 
+// Saved searches, stored in config.savedSearches by notes root as [{ name, query }]
+ipcMain.handle('get-saved-searches', async (event, rootPath) => {
+  const all = loadConfig().savedSearches || {};
+  const list = all[path.resolve(rootPath)];
+  return Array.isArray(list) ? list : [];
+});
+
+ipcMain.handle('save-saved-searches', async (event, rootPath, searches) => {
+  const config = loadConfig();
+  const key = path.resolve(rootPath);
+  config.savedSearches = config.savedSearches || {};
+  const list = (Array.isArray(searches) ? searches : [])
+    .filter(s => s && String(s.name || '').trim() && String(s.query || '').trim())
+    .map(s => ({ name: String(s.name).trim(), query: String(s.query).trim() }));
+  if (list.length) config.savedSearches[key] = list;
+  else delete config.savedSearches[key];
+  saveConfig(config);
+  return true;
+});
+
 // Get preferences
 ipcMain.handle('get-preferences', async () => {
   const config = loadConfig();
@@ -311,7 +487,13 @@ ipcMain.handle('get-preferences', async () => {
     publishingName: config.publishingName || '',
     publishedSiteUrl: config.publishedSiteUrl || '',
     bitcoinTipAddress: config.bitcoinTipAddress || '',
-    ethereumTipAddress: config.ethereumTipAddress || ''
+    ethereumTipAddress: config.ethereumTipAddress || '',
+    trashPurgeDays: config.trashPurgeDays !== undefined ? config.trashPurgeDays : 0,
+    editorViewMode: config.editorViewMode || 'edit',
+    showTagPanel: config.showTagPanel || false,
+    tagMatchMode: config.tagMatchMode === 'or' ? 'or' : 'and',
+    searchScope: config.searchScope === 'all' ? 'all' : 'folder',
+    showBacklinks: config.showBacklinks !== undefined ? config.showBacklinks : true
   };
 });
 
@@ -330,6 +512,40 @@ ipcMain.handle('save-preferences', async (event, prefs) => {
   if (prefs.publishedSiteUrl !== undefined) config.publishedSiteUrl = prefs.publishedSiteUrl;
   if (prefs.bitcoinTipAddress !== undefined) config.bitcoinTipAddress = prefs.bitcoinTipAddress;
   if (prefs.ethereumTipAddress !== undefined) config.ethereumTipAddress = prefs.ethereumTipAddress;
+  if (prefs.trashPurgeDays !== undefined) config.trashPurgeDays = prefs.trashPurgeDays;
+  if (prefs.editorViewMode !== undefined) config.editorViewMode = prefs.editorViewMode;
+  if (prefs.showTagPanel !== undefined) config.showTagPanel = prefs.showTagPanel;
+  if (prefs.tagMatchMode !== undefined) config.tagMatchMode = prefs.tagMatchMode;
+  if (prefs.searchScope !== undefined) config.searchScope = prefs.searchScope;
+  if (prefs.showBacklinks !== undefined) config.showBacklinks = prefs.showBacklinks;
+  saveConfig(config);
+  return true;
+});
+
+// Per-folder settings, stored in config.folderSettings by folder path.
+// A folder without its own settings uses those of its nearest configured parent.
+const FOLDER_SETTINGS_DEFAULTS = { noteExt: 'txt' };
+
+ipcMain.handle('get-folder-settings', async (event, folderPath) => {
+  const all = loadConfig().folderSettings || {};
+  const start = path.resolve(folderPath);
+  let dir = start;
+  while (true) {
+    if (all[dir]) return { ...FOLDER_SETTINGS_DEFAULTS, ...all[dir], inheritedFrom: dir === start ? null : dir };
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  return { ...FOLDER_SETTINGS_DEFAULTS, inheritedFrom: null };
+});
+
+ipcMain.handle('save-folder-settings', async (event, folderPath, settings) => {
+  const config = loadConfig();
+  const key = path.resolve(folderPath);
+  config.folderSettings = config.folderSettings || {};
+  const current = config.folderSettings[key] || {};
+  if (settings.noteExt !== undefined) current.noteExt = settings.noteExt === 'md' ? 'md' : 'txt';
+  config.folderSettings[key] = current;
   saveConfig(config);
   return true;
 });
@@ -347,12 +563,202 @@ ipcMain.handle('open-folder-dialog', async () => {
   return result.filePaths[0];
 });
 
+// ============ Note Index ============
+// read-folder doesn't ship note text. Per-folder metadata (size, mtime, first line, front
+// matter and attachment flags) is cached under userData/index-cache, so unchanged notes aren't re-read
+// on every load; full text is read on demand when a note is opened or searched.
+
+// Notes are plain text (.txt) or Markdown (.md)
+const NOTE_EXT_RE = /\.(txt|md)$/i;
+
+function isNoteFileName(name) {
+  return NOTE_EXT_RE.test(name);
+}
+
+const INDEX_HEAD_BYTES = 16384;
+const INDEX_SAVE_DELAY_MS = 2000;
+const folderIndexes = new Map(); // folderPath -> { entries: { [fileName]: entry }, dirty }
+const NOTE_TEXT_CACHE_BYTES = 32 * 1024 * 1024; // note text kept between reads; the least recently used goes first
+const noteTextCache = new Map(); // filePath -> { mtimeMs, size, content }, least recently used first
+let noteTextCacheBytes = 0;
+let indexSaveTimer = null;
+
+function getIndexCacheDir() {
+  const dir = path.join(app.getPath('userData'), 'index-cache');
+  try {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  } catch (_e) {}
+  return dir;
+}
+
+function getIndexCachePath(folderPath) {
+  const key = crypto.createHash('sha1').update(folderPath).digest('hex');
+  return path.join(getIndexCacheDir(), `${key}.json`);
+}
+
+function loadFolderIndex(folderPath) {
+  let index = folderIndexes.get(folderPath);
+  if (index) return index;
+  index = { entries: {}, dirty: false };
+  try {
+    const data = JSON.parse(fs.readFileSync(getIndexCachePath(folderPath), 'utf8'));
+    if (data && data.folder === folderPath && data.entries) index.entries = data.entries;
+  } catch (_e) {
+    // No cache yet (or unreadable): it gets rebuilt on this load
+  }
+  folderIndexes.set(folderPath, index);
+  return index;
+}
+
+function flushFolderIndexes() {
+  if (indexSaveTimer) {
+    clearTimeout(indexSaveTimer);
+    indexSaveTimer = null;
+  }
+  for (const [folder, index] of folderIndexes) {
+    if (!index.dirty) continue;
+    try {
+      writeFileAtomic(getIndexCachePath(folder), JSON.stringify({ folder, entries: index.entries }));
+      index.dirty = false;
+    } catch (e) {
+      console.error('Could not save note index for', folder, e);
+    }
+  }
+}
+
+function scheduleIndexSave() {
+  if (indexSaveTimer) return;
+  indexSaveTimer = setTimeout(flushFolderIndexes, INDEX_SAVE_DELAY_MS);
+}
+
+function firstLineOf(text) {
+  return String(text || '').split(/\r?\n/)[0].trim().slice(0, 200);
+}
+
+// What the index keeps from a note's text: its front matter and the first line after it, plus
+// its tags when the whole text is at hand (otherwise they are filled in by the tag index)
+function summarizeNote(text, complete = true) {
+  const fm = noteParse.parseFrontMatter(text);
+  const summary = { firstLine: firstLineOf(fm.body), meta: noteParse.noteMeta(fm.data, fm.error), tags: null };
+  if (complete) summary.tags = noteParse.noteTags(text);
+  return summary;
+}
+
+// Only the start of the file is read, unless the front matter runs past it
+function readNoteHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(INDEX_HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const head = buffer.subarray(0, bytesRead).toString('utf8');
+    if (bytesRead === buffer.length && /^\uFEFF?---[ \t]*\r?\n/.test(head) && noteParse.parseFrontMatter(head).lineCount === 0) {
+      return summarizeNote(fs.readFileSync(filePath, 'utf8'));
+    }
+    return summarizeNote(head, bytesRead < buffer.length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// The index entry of a note, re-read when the file's size or mtime no longer match
+function indexedNote(index, filePath, stats) {
+  const name = path.basename(filePath);
+  let cached = index.entries[name];
+  if (!cached || cached.size !== stats.size || cached.mtimeMs !== stats.mtimeMs || !cached.meta) {
+    cached = { size: stats.size, mtimeMs: stats.mtimeMs, ...readNoteHead(filePath) };
+    index.entries[name] = cached;
+    index.dirty = true;
+  }
+  return cached;
+}
+
+// Note text through a cache that's only trusted while size and mtime still match the file
+function readNoteText(filePath, stats = fs.statSync(filePath)) {
+  const cached = noteTextCache.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    noteTextCache.delete(filePath);
+    noteTextCache.set(filePath, cached);
+    return cached;
+  }
+  return cacheNoteText(filePath, fs.readFileSync(filePath, 'utf8'), stats);
+}
+
+// Remember a note's text as read or written, dropping the least recently used notes once the
+// cache holds more than NOTE_TEXT_CACHE_BYTES
+function cacheNoteText(filePath, content, stats) {
+  const old = noteTextCache.get(filePath);
+  if (old) {
+    noteTextCache.delete(filePath);
+    noteTextCacheBytes -= old.size;
+  }
+  const entry = { mtimeMs: stats.mtimeMs, size: stats.size, content };
+  noteTextCache.set(filePath, entry);
+  noteTextCacheBytes += entry.size;
+  for (const [key, stale] of noteTextCache) {
+    if (noteTextCacheBytes <= NOTE_TEXT_CACHE_BYTES || key === filePath) break;
+    noteTextCache.delete(key);
+    noteTextCacheBytes -= stale.size;
+  }
+  return entry;
+}
+
+// Keep the index and text cache current for writes made through the app
+function noteWritten(filePath, content, stats) {
+  cacheNoteText(filePath, content, stats);
+  if (noteSearch && isPathInside(filePath, noteSearch.root)) indexNoteForSearch(filePath, stats, content);
+  const index = folderIndexes.get(path.dirname(filePath));
+  const entry = index && index.entries[path.basename(filePath)];
+  if (entry) {
+    entry.size = stats.size;
+    entry.mtimeMs = stats.mtimeMs;
+    Object.assign(entry, summarizeNote(content));
+    index.dirty = true;
+    scheduleIndexSave();
+  }
+}
+
+// Base names that have an image, audio, other file or canvas attachment, from a read-folder style file list
+function attachmentKeys(files) {
+  const titles = new Set(files.filter(f => f.type === 'text').map(f => f.name.toLowerCase().replace(NOTE_EXT_RE, '')));
+  const owners = type => new Set(files.filter(f => f.type === type)
+    .map(f => noteParse.attachmentOwner(f.name, titles))
+    .filter(Boolean)
+    .map(owner => owner.base));
+  return {
+    image: owners('image'),
+    audio: owners('audio'),
+    file: owners('file'),
+    canvas: new Set(files.filter(f => f.type === 'canvas').map(f => f.name.toLowerCase().replace(/\.canvas\.json$/, '')))
+  };
+}
+
+function attachmentFlags(keys, noteName) {
+  const key = noteName.toLowerCase().replace(NOTE_EXT_RE, '');
+  return { image: keys.image.has(key), audio: keys.audio.has(key), file: keys.file.has(key), canvas: keys.canvas.has(key) };
+}
+
+// The same, listing the folder directly (for notes in folders the app hasn't read)
+function folderAttachmentKeys(folderPath) {
+  const files = [];
+  for (const name of fs.readdirSync(folderPath)) {
+    const lower = name.toLowerCase();
+    if (isNoteFileName(name)) files.push({ name, type: 'text' });
+    else if (/\.(png|jpg|jpeg|gif|webp)$/.test(lower) && !lower.endsWith('.canvas.png')) files.push({ name, type: 'image' });
+    else if (/\.(mp3|wav|aiff|aif|ogg|m4a|flac|wma)$/.test(lower)) files.push({ name, type: 'audio' });
+    else if (lower.endsWith('.canvas.json')) files.push({ name, type: 'canvas' });
+    else if (noteParse.attachmentReadings(name).length) files.push({ name, type: 'file' });
+  }
+  return attachmentKeys(files);
+}
+
 // Read all files from a folder (now includes subdirectories)
 ipcMain.handle('read-folder', async (event, folderPath) => {
   try {
     const entries = fs.readdirSync(folderPath, { withFileTypes: true });
     const files = [];
     const folders = [];
+    const index = loadFolderIndex(folderPath);
+    const seen = new Set();
     
     for (const entry of entries) {
       const fullPath = path.join(folderPath, entry.name);
@@ -377,12 +783,14 @@ ipcMain.handle('read-folder', async (event, folderPath) => {
       const stats = fs.statSync(fullPath);
       const lower = entry.name.toLowerCase();
       
-      if (lower.endsWith('.txt')) {
-        const content = fs.readFileSync(fullPath, 'utf8');
+      if (isNoteFileName(entry.name)) {
+        const cached = indexedNote(index, fullPath, stats);
+        seen.add(entry.name);
         files.push({
           name: entry.name,
           type: 'text',
-          content: content,
+          firstLine: cached.firstLine,
+          meta: cached.meta,
           size: stats.size,
           lastModified: stats.mtimeMs
         });
@@ -407,126 +815,620 @@ ipcMain.handle('read-folder', async (event, folderPath) => {
           size: stats.size,
           lastModified: stats.mtimeMs
         });
+      } else if (noteParse.attachmentReadings(entry.name).length) {
+        // Any other file can be a note's attachment ("Title.2.pdf")
+        files.push({
+          name: entry.name,
+          type: 'file',
+          size: stats.size,
+          lastModified: stats.mtimeMs
+        });
       }
     }
     
+    // Refresh attachment flags and drop entries for notes that are gone
+    const keys = attachmentKeys(files);
+    for (const name of Object.keys(index.entries)) {
+      if (!seen.has(name)) {
+        delete index.entries[name];
+        index.dirty = true;
+        continue;
+      }
+      const entry = index.entries[name];
+      const flags = attachmentFlags(keys, name);
+      if (!entry.flags || entry.flags.image !== flags.image || entry.flags.audio !== flags.audio || entry.flags.file !== flags.file || entry.flags.canvas !== flags.canvas) {
+        entry.flags = flags;
+        index.dirty = true;
+      }
+    }
+    if (index.dirty) scheduleIndexSave();
+
     return { success: true, files: files, folders: folders };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Read a single file
-ipcMain.handle('read-file', async (event, filePath) => {
+// Tags of every note under the notes root, from the folder indexes. Notes too long for
+// readNoteHead to have seen whole are read once here and their tags cached with the entry.
+ipcMain.handle('get-tag-index', async (event, rootPath) => {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    return { success: true, content: content };
+    const notes = [];
+    const walk = (dir) => {
+      const index = loadFolderIndex(dir);
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.')) walk(fullPath);
+          continue;
+        }
+        if (!entry.isFile() || !isNoteFileName(entry.name)) continue;
+        const cached = indexedNote(index, fullPath, fs.statSync(fullPath));
+        if (!cached.tags) {
+          cached.tags = noteParse.noteTags(fs.readFileSync(fullPath, 'utf8'));
+          index.dirty = true;
+        }
+        if (cached.tags.length) notes.push({ path: fullPath, tags: cached.tags });
+      }
+      if (index.dirty) scheduleIndexSave();
+    };
+    walk(rootPath);
+    return { success: true, notes };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Write a text file
-ipcMain.handle('write-file', async (event, filePath, content) => {
-  try {
-    fs.writeFileSync(filePath, content, 'utf8');
-    const stats = fs.statSync(filePath);
-    return { success: true, lastModified: stats.mtimeMs, size: stats.size };
-  } catch (e) {
-    return { success: false, error: e.message };
+// ============ Search ============
+// One inverted index (searchindex.js) over the notes root that was searched last. It is built on
+// the first search and then kept current: saves through the app update it directly, and paths the
+// watcher or the app's own file operations touch are re-checked before the next search.
+
+const MAX_SEARCH_RESULTS = 500;
+let noteSearch = null;                // createSearchIndex(root)
+const staleSearchPaths = new Set();
+
+function isPathInside(child, parent) {
+  const rel = path.relative(parent, child);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+function isHiddenNotePath(root, fullPath) {
+  return path.relative(root, fullPath).split(path.sep).some(seg => seg.startsWith('.'));
+}
+
+function markSearchStale(fullPath) {
+  if (noteSearch && isPathInside(fullPath, noteSearch.root)) staleSearchPaths.add(fullPath);
+}
+
+// Titles are searched with the file name and any front-matter title
+function indexNoteForSearch(filePath, stats, content) {
+  const name = path.basename(filePath);
+  const meta = noteParse.metaFromText(content);
+  noteSearch.update(filePath, {
+    name,
+    folder: path.dirname(filePath),
+    title: name.replace(NOTE_EXT_RE, '') + (meta.title ? ' ' + meta.title : ''),
+    mtimeMs: stats.mtimeMs,
+    size: stats.size
+  }, content);
+}
+
+// Index every note at or below a path that isn't indexed in its current version yet
+function indexTreeForSearch(dir) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith('.')) indexTreeForSearch(fullPath);
+      continue;
+    }
+    if (!entry.isFile() || !isNoteFileName(entry.name)) continue;
+    const stats = fs.statSync(fullPath);
+    if (!noteSearch.has(fullPath, stats)) indexNoteForSearch(fullPath, stats, readNoteText(fullPath, stats).content);
   }
-});
+}
 
-// Delete a file
-ipcMain.handle('delete-file', async (event, filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+function getNoteSearch(rootPath) {
+  if (!noteSearch || noteSearch.root !== rootPath) {
+    noteSearch = searchIndex.createSearchIndex(rootPath);
+    staleSearchPaths.clear();
+    indexTreeForSearch(rootPath);
+    return noteSearch;
+  }
+  for (const fullPath of staleSearchPaths) {
+    if (isHiddenNotePath(rootPath, fullPath)) continue;
+    let stats = null;
+    try {
+      stats = fs.statSync(fullPath);
+    } catch (_e) {}
+    if (!stats) {
+      noteSearch.removeTree(fullPath, path.sep);
+    } else if (stats.isDirectory()) {
+      indexTreeForSearch(fullPath);
+    } else if (isNoteFileName(fullPath) && !noteSearch.has(fullPath, stats)) {
+      indexNoteForSearch(fullPath, stats, readNoteText(fullPath, stats).content);
     }
-    return { success: true };
-  } catch (e) {
-    return { success: false, error: e.message };
   }
-});
+  staleSearchPaths.clear();
+  return noteSearch;
+}
 
-// Check if file exists
-ipcMain.handle('file-exists', async (event, filePath) => {
-  return fs.existsSync(filePath);
-});
+// Where a note's text starts after its front matter, so snippets come from the text itself
+function bodyOffset(content) {
+  const lineCount = noteParse.parseFrontMatter(content).lineCount;
+  let offset = 0;
+  for (let i = 0; i < lineCount && offset >= 0; i++) {
+    const nl = content.indexOf('\n', offset);
+    offset = nl < 0 ? content.length : nl + 1;
+  }
+  return offset;
+}
 
-// Show file in OS file explorer
-ipcMain.handle('show-item-in-folder', async (event, filePath) => {
+// Ranked search of the notes under rootPath, or only those directly in folderPath when given.
+// The query language is parsed by searchindex.js; a query it can't parse comes back as
+// `queryError`. Results carry a snippet around the first hit with the ranges to highlight;
+// `terms` and `regexes` say what was looked for, and `plain` marks a query of words only.
+ipcMain.handle('search-notes', async (event, rootPath, queryText, folderPath = null) => {
   try {
-    if (fs.existsSync(filePath)) {
-      shell.showItemInFolder(filePath);
-      return { success: true };
+    const query = searchIndex.parseQuery(queryText);
+    if (query.error) return { success: true, queryError: query.error, terms: [], regexes: [], plain: false, results: [] };
+
+    const terms = searchIndex.queryIndexTerms(query);
+    const hasCriteria = terms.length || query.regexes.length || query.filters.length ||
+      query.exclude.terms.length || query.exclude.phrases.length || query.exclude.regexes.length;
+    const highlight = { terms, regexes: query.regexes.map(re => ({ source: re.source, flags: re.flags })), plain: query.plain };
+    if (!hasCriteria) return { success: true, ...highlight, results: [] };
+
+    const index = getNoteSearch(rootPath);
+    const inFolder = folderPath ? (doc => doc.folder === folderPath) : null;
+    const candidates = terms.length ? index.search(terms, inFolder) : index.all(inFolder);
+    const folderKeys = new Map(); // attachment keys per folder, listed once per search
+    const results = [];
+    for (const match of candidates) {
+      if (results.length >= MAX_SEARCH_RESULTS) break;
+      let content;
+      try {
+        content = readNoteText(match.path).content;
+      } catch (_e) {
+        // Gone without the watcher noticing (e.g. the root isn't watched): drop it
+        index.remove(match.path);
+        continue;
+      }
+      const note = {
+        content,
+        mtimeMs: match.lastModified,
+        folderSegments: path.relative(rootPath, match.folder).split(path.sep).filter(Boolean),
+        tags: () => noteParse.noteTags(content),
+        has: () => {
+          if (!folderKeys.has(match.folder)) folderKeys.set(match.folder, folderAttachmentKeys(match.folder));
+          return attachmentFlags(folderKeys.get(match.folder), match.name);
+        }
+      };
+      if (!searchIndex.matchesQuery(query, note)) continue;
+      results.push({ ...match, snippet: searchIndex.makeSnippet(content, terms, bodyOffset(content), query.regexes) });
     }
-    return { success: false, error: 'File not found' };
+    return { success: true, ...highlight, results };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Open file with default application
-ipcMain.handle('open-path', async (event, filePath) => {
+// Notes under rootPath that link to `title` or mention it in plain text, with the lines where they
+// do. Candidates come from the search index (notes with every word of the title), so this stays
+// quick in big folders; the note itself (exceptPath) is left out.
+ipcMain.handle('get-backlinks', async (event, rootPath, title, exceptPath = null) => {
   try {
-    if (fs.existsSync(filePath)) {
-      const result = await shell.openPath(filePath);
-      if (result) {
-        return { success: false, error: result };
+    const index = getNoteSearch(rootPath);
+    // Links count when they resolve to the note at exceptPath, as following them would
+    const byTitle = exceptPath ? wikiLinkNotes(rootPath, index) : null;
+    const terms = Array.from(new Set(searchIndex.tokenize(title)));
+    const candidates = terms.length ? index.search(terms) : index.all();
+    const links = [];
+    const mentions = [];
+    for (const doc of candidates) {
+      if (doc.path === exceptPath) continue;
+      let content;
+      try {
+        content = readNoteText(doc.path).content;
+      } catch (_e) {
+        index.remove(doc.path);
+        continue;
       }
-      return { success: true };
+      const from = relativeFolder(rootPath, doc.folder);
+      const leadsHere = byTitle ? (link) => {
+        const { note } = resolveLinkIn(byTitle, link, from);
+        return !!note && note.path === exceptPath;
+      } : null;
+      const refs = noteParse.findReferences(content, title, leadsHere);
+      const note = { path: doc.path, name: doc.name, folder: doc.folder, lastModified: doc.lastModified };
+      if (refs.links.length) links.push({ ...note, hits: refs.links });
+      if (refs.mentions.length) mentions.push({ ...note, hits: refs.mentions });
     }
-    return { success: false, error: 'File not found' };
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.folder.localeCompare(b.folder);
+    return { success: true, links: links.sort(byName), mentions: mentions.sort(byName) };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Read image as base64 data URL
-ipcMain.handle('read-image-base64', async (event, filePath) => {
+// A folder relative to the notes root, "/" separated ('' for the root itself), as links write it
+function relativeFolder(rootPath, folder) {
+  return path.relative(rootPath, folder).split(path.sep).filter(Boolean).join('/');
+}
+
+// Every note under the root as noteParse.resolveWikiLink() wants them, grouped by lowercase title
+function wikiLinkNotes(rootPath, index) {
+  const byTitle = new Map();
+  for (const doc of index.docs.values()) {
+    const title = doc.name.replace(NOTE_EXT_RE, '');
+    const key = title.toLowerCase();
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push({ title, folder: relativeFolder(rootPath, doc.folder), path: doc.path, name: doc.name, dir: doc.folder });
+  }
+  return byTitle;
+}
+
+function resolveLinkIn(byTitle, link, fromFolder) {
+  return noteParse.resolveWikiLink(link, fromFolder, byTitle.get(link.title.toLowerCase()) || []);
+}
+
+// Resolve [[ ]] link texts written in a note in `fromFolder`: { [text]: { note, candidates } }
+// with note null when no note, or more than one, matches
+ipcMain.handle('resolve-wiki-links', async (event, rootPath, fromFolder, linkTexts) => {
   try {
-    const buffer = fs.readFileSync(filePath);
-    const ext = path.extname(filePath).toLowerCase().slice(1);
-    let mimeType = 'image/png';
-    if (ext === 'jpg' || ext === 'jpeg') mimeType = 'image/jpeg';
-    else if (ext === 'gif') mimeType = 'image/gif';
-    else if (ext === 'webp') mimeType = 'image/webp';
-    
-    const base64 = buffer.toString('base64');
-    return { success: true, dataUrl: `data:${mimeType};base64,${base64}` };
+    const byTitle = wikiLinkNotes(rootPath, getNoteSearch(rootPath));
+    const from = relativeFolder(rootPath, fromFolder);
+    const describe = n => ({ path: n.path, name: n.name, folder: n.dir });
+    const links = {};
+    for (const text of linkTexts) {
+      const { note, candidates } = resolveLinkIn(byTitle, noteParse.parseWikiLink(text), from);
+      links[text] = { note: note ? describe(note) : null, candidates: candidates.map(describe) };
+    }
+    return { success: true, links };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Write image from buffer (for drawings)
-ipcMain.handle('write-image-buffer', async (event, filePath, base64Data) => {
+// The path of the file `ref` (as written in a note in `folder`) names, if it is a file under the root
+function referencedFile(rootPath, folder, ref) {
+  const filePath = path.resolve(folder, ref);
   try {
-    // base64Data can be either:
-    // 1. A full data URL like "data:image/jpeg;base64,..."
-    // 2. Just the base64 string
-    let base64 = base64Data;
-    if (base64Data.startsWith('data:')) {
-      base64 = base64Data.split(',')[1] || base64Data;
-    }
-    const buffer = Buffer.from(base64, 'base64');
-    fs.writeFileSync(filePath, buffer);
-    const stats = fs.statSync(filePath);
-    return { success: true, lastModified: stats.mtimeMs, size: stats.size };
+    return isPathInside(filePath, rootPath) && fs.statSync(filePath).isFile() ? filePath : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+// Every note under the root, for [[ link completion: [{ title, folder, path, lastModified }] with
+// folder relative to the root, as links write it
+ipcMain.handle('list-link-targets', async (event, rootPath) => {
+  try {
+    const notes = Array.from(getNoteSearch(rootPath).docs.values(), doc => ({
+      title: doc.name.replace(NOTE_EXT_RE, ''),
+      folder: relativeFolder(rootPath, doc.folder),
+      path: doc.path,
+      lastModified: doc.mtimeMs
+    }));
+    return { success: true, notes };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
+// The notes ![[ ]] embeds bring into `text` (the note at notePath), in the shape the Markdown
+// renderer's embeds option takes: { self, links, notes } with links mapping a lowercase link target
+// to an index into notes (null when no note, or several, match) and notes [{ title, text, markdown,
+// links }] holding each note's text without front matter and its own embeds. Embeds inside
+// embedded notes are followed too, reading each note once; self is the index of the note at
+// notePath when something embeds it back (its text is left to the caller, who has the latest).
+// `files` maps markdown.fileKey(ref, folder) of each ![[file.png]] / ![](file.png) reference in
+// those notes to the file's path, for the files that exist (relative to the referencing note, under
+// the root), where folder is the note's `folder`: where it is relative to the note at notePath.
+ipcMain.handle('resolve-embeds', async (event, rootPath, notePath, text) => {
+  try {
+    const byTitle = wikiLinkNotes(rootPath, getNoteSearch(rootPath));
+    const notes = [];
+    const indexOf = new Map();
+    const queue = [];
+    const files = {};
+    let self = null;
+
+    // A note's folder relative to the one at notePath, with "/" separators
+    const folderFrom = folder => path.relative(path.dirname(notePath), folder).split(path.sep).join('/');
+
+    const fileRefs = (content, folder) => {
+      for (const { ref } of noteParse.findFileRefs(content)) {
+        const key = markdown.fileKey(ref, folderFrom(folder));
+        if (Object.prototype.hasOwnProperty.call(files, key)) continue;
+        const filePath = referencedFile(rootPath, folder, ref);
+        if (filePath) files[key] = filePath;
+      }
+    };
+
+    const embedLinks = (content, folder) => {
+      const links = {};
+      for (const link of noteParse.findLinks(content)) {
+        const key = link.target.toLowerCase();
+        if (!link.embed || key in links) continue;
+        const { note } = resolveLinkIn(byTitle, link.link, relativeFolder(rootPath, folder));
+        if (note && !indexOf.has(note.path)) {
+          indexOf.set(note.path, notes.length);
+          notes.push({ title: note.title, text: '', markdown: markdown.isMarkdownName(note.name), links: {}, folder: folderFrom(note.dir) });
+          if (note.path === notePath) self = indexOf.get(note.path);
+          else queue.push(note);
+        }
+        links[key] = note ? indexOf.get(note.path) : null;
+      }
+      return links;
+    };
+
+    const links = embedLinks(text, path.dirname(notePath));
+    fileRefs(text, path.dirname(notePath));
+    while (queue.length) {
+      const note = queue.shift();
+      const entry = notes[indexOf.get(note.path)];
+      try {
+        entry.text = noteParse.parseFrontMatter(readNoteText(note.path).content).body;
+      } catch (_e) {
+        continue;
+      }
+      entry.links = embedLinks(entry.text, note.dir);
+      fileRefs(entry.text, note.dir);
+    }
+    return { success: true, embeds: { self, links, notes }, files };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Every note under the root with the notes its [[ ]] links resolve to, for the graph view:
+// { nodes: [{ path, name, folder, tags }], edges: [[from, to]] } with edges as indices into nodes,
+// one per linked pair whichever way the link goes
+ipcMain.handle('get-note-graph', async (event, rootPath) => {
+  try {
+    const index = getNoteSearch(rootPath);
+    const byTitle = wikiLinkNotes(rootPath, index);
+    const nodes = [];
+    const indexOf = new Map();
+    const contents = [];
+    for (const doc of index.docs.values()) {
+      let content;
+      try {
+        content = readNoteText(doc.path).content;
+      } catch (_e) {
+        continue;
+      }
+      indexOf.set(doc.path, nodes.length);
+      nodes.push({ path: doc.path, name: doc.name, folder: doc.folder, tags: noteParse.noteTags(content) });
+      contents.push(content);
+    }
+
+    const edges = [];
+    const seen = new Set();
+    nodes.forEach((node, from) => {
+      const folder = relativeFolder(rootPath, node.folder);
+      for (const link of noteParse.findLinks(contents[from])) {
+        const { note } = resolveLinkIn(byTitle, link.link, folder);
+        const to = note ? indexOf.get(note.path) : undefined;
+        if (to == null || to === from) continue;
+        const key = from < to ? `${from}:${to}` : `${to}:${from}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        edges.push([from, to]);
+      }
+    });
+    return { success: true, nodes, edges };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// [[ ]] links anywhere under the root that no note answers to:
+// [{ target, sources: [{ path, name, folder, hits }] }] sorted by target
+ipcMain.handle('get-broken-links', async (event, rootPath) => {
+  try {
+    const index = getNoteSearch(rootPath);
+    const byTitle = wikiLinkNotes(rootPath, index);
+
+    const broken = new Map(); // lowercase target -> { target, sources }
+    const originals = new Map(); // lowercase target -> its spelling where first seen
+    for (const doc of index.all()) {
+      let content;
+      try {
+        content = readNoteText(doc.path).content;
+      } catch (_e) {
+        index.remove(doc.path);
+        continue;
+      }
+      const hitsByTarget = new Map();
+      const from = relativeFolder(rootPath, doc.folder);
+      for (const link of noteParse.findLinks(content)) {
+        const key = link.target.toLowerCase();
+        // Several matching notes make a link ambiguous, not broken
+        if (resolveLinkIn(byTitle, link.link, from).candidates.length) continue;
+        // An ![[diagram.png]] showing a file that's there isn't broken either
+        if (link.embed && referencedFile(rootPath, doc.folder, link.target)) continue;
+        if (!originals.has(key)) originals.set(key, link.target);
+        if (!hitsByTarget.has(key)) hitsByTarget.set(key, []);
+        hitsByTarget.get(key).push({ lineNo: link.lineNo, line: link.line, start: link.start, end: link.end });
+      }
+      for (const [key, hits] of hitsByTarget) {
+        if (!broken.has(key)) broken.set(key, { target: originals.get(key), sources: [] });
+        broken.get(key).sources.push({ path: doc.path, name: doc.name, folder: doc.folder, hits });
+      }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.folder.localeCompare(b.folder);
+    const list = Array.from(broken.values());
+    for (const item of list) item.sources.sort(byName);
+    list.sort((a, b) => a.target.localeCompare(b.target, undefined, { sensitivity: 'base' }));
+    return { success: true, broken: list };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Read a single file
+ipcMain.handle('read-file', async (event, filePath) => {
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const stats = fs.statSync(filePath);
+    cacheNoteText(filePath, content, stats);
+    return { success: true, content: content, hash: hashText(content), lastModified: stats.mtimeMs, size: stats.size };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Write a text file.
+// `expected` is the { lastModified, hash } the renderer last loaded; if the file on disk
+// no longer matches it, nothing is written and the disk version is returned as a conflict.
+ipcMain.handle('write-file', async (event, filePath, content, expected) => {
+  try {
+    if (expected && (expected.hash || expected.lastModified) && fs.existsSync(filePath)) {
+      const diskContent = fs.readFileSync(filePath, 'utf8');
+      const diskHash = hashText(diskContent);
+      const diskStats = fs.statSync(filePath);
+      const changed = expected.hash ? diskHash !== expected.hash : diskStats.mtimeMs !== expected.lastModified;
+      if (changed && diskContent !== content) {
+        return {
+          success: false,
+          conflict: true,
+          error: 'The file changed on disk since it was loaded.',
+          diskContent,
+          hash: diskHash,
+          lastModified: diskStats.mtimeMs,
+          size: diskStats.size
+        };
+      }
+    }
+    snapshotBeforeWrite(filePath, content);
+    writeFileAtomic(filePath, content);
+    rememberOwnWrite(filePath);
+    const stats = fs.statSync(filePath);
+    noteWritten(filePath, content, stats);
+    return { success: true, lastModified: stats.mtimeMs, size: stats.size, hash: hashText(content) };
+  } catch (e) {
+    return { success: false, error: describeWriteError(e, filePath) };
+  }
+});
+
+// Delete a file
+ipcMain.handle('delete-file', async (event, filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      rememberOwnWrite(filePath);
+    }
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Check if file exists
+ipcMain.handle('file-exists', async (event, filePath) => {
+  return fs.existsSync(filePath);
+});
+
+// Show file in OS file explorer
+ipcMain.handle('show-item-in-folder', async (event, filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      shell.showItemInFolder(filePath);
+      return { success: true };
+    }
+    return { success: false, error: 'File not found' };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Open file with default application
+ipcMain.handle('open-path', async (event, filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      const result = await shell.openPath(filePath);
+      if (result) {
+        return { success: false, error: result };
+      }
+      return { success: true };
+    }
+    return { success: false, error: 'File not found' };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Open a web or mail link in the default browser / mail client
+ipcMain.handle('open-external', async (event, url) => {
+  try {
+    if (!/^(https?|mailto):/i.test(String(url))) {
+      return { success: false, error: 'Only web and mail links can be opened' };
+    }
+    await shell.openExternal(url);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Read image as base64 data URL
+ipcMain.handle('read-image-base64', async (event, filePath) => {
+  try {
+    const buffer = fs.readFileSync(filePath);
+    const ext = path.extname(filePath).toLowerCase().slice(1);
+    let mimeType = 'image/png';
+    if (ext === 'jpg' || ext === 'jpeg') mimeType = 'image/jpeg';
+    else if (ext === 'gif') mimeType = 'image/gif';
+    else if (ext === 'webp') mimeType = 'image/webp';
+    
+    const base64 = buffer.toString('base64');
+    return { success: true, dataUrl: `data:${mimeType};base64,${base64}` };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Read any file as base64 (attachments that get published)
+ipcMain.handle('read-file-base64', async (event, filePath) => {
+  try {
+    return { success: true, base64: fs.readFileSync(filePath).toString('base64') };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Write image from buffer (for drawings)
+ipcMain.handle('write-image-buffer', async (event, filePath, base64Data) => {
+  try {
+    // base64Data can be either:
+    // 1. A full data URL like "data:image/jpeg;base64,..."
+    // 2. Just the base64 string
+    let base64 = base64Data;
+    if (base64Data.startsWith('data:')) {
+      base64 = base64Data.split(',')[1] || base64Data;
+    }
+    const buffer = Buffer.from(base64, 'base64');
+    writeFileAtomic(filePath, buffer);
+    rememberOwnWrite(filePath);
+    const stats = fs.statSync(filePath);
+    return { success: true, lastModified: stats.mtimeMs, size: stats.size };
+  } catch (e) {
+    return { success: false, error: describeWriteError(e, filePath) };
+  }
+});
+
 // Copy image from source to destination
 ipcMain.handle('copy-image', async (event, srcPath, destPath) => {
   try {
-    fs.copyFileSync(srcPath, destPath);
+    writeFileAtomic(destPath, fs.readFileSync(srcPath));
+    rememberOwnWrite(destPath);
     const stats = fs.statSync(destPath);
     return { success: true, lastModified: stats.mtimeMs, size: stats.size };
   } catch (e) {
-    return { success: false, error: e.message };
+    return { success: false, error: describeWriteError(e, destPath) };
   }
 });
 
@@ -586,6 +1488,15 @@ ipcMain.handle('open-audio-dialog', async () => {
   }
 });
 
+// Open file picker for note attachments (any files, several at once); returns their paths
+ipcMain.handle('open-attachment-dialog', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Attach Files',
+    properties: ['openFile', 'multiSelections']
+  });
+  return result.canceled ? [] : result.filePaths;
+});
+
 // Open file picker for GGUF model files
 ipcMain.handle('open-model-dialog', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
@@ -896,200 +1807,1075 @@ ipcMain.handle('read-audio-base64', async (event, filePath) => {
   }
 });
 
-// Write audio from buffer
-ipcMain.handle('write-audio-buffer', async (event, filePath, base64Data) => {
-  try {
-    const base64 = base64Data.replace(/^data:audio\/[^;]+;base64,/, '');
-    const buffer = Buffer.from(base64, 'base64');
-    fs.writeFileSync(filePath, buffer);
-    const stats = fs.statSync(filePath);
-    return { success: true, lastModified: stats.mtimeMs, size: stats.size };
+// Write audio from buffer
+ipcMain.handle('write-audio-buffer', async (event, filePath, base64Data) => {
+  try {
+    const base64 = base64Data.replace(/^data:audio\/[^;]+;base64,/, '');
+    const buffer = Buffer.from(base64, 'base64');
+    writeFileAtomic(filePath, buffer);
+    rememberOwnWrite(filePath);
+    const stats = fs.statSync(filePath);
+    return { success: true, lastModified: stats.mtimeMs, size: stats.size };
+  } catch (e) {
+    return { success: false, error: describeWriteError(e, filePath) };
+  }
+});
+
+
+// Get a playback URL for an audio file.
+// If the format isn't reliably supported by Chromium (e.g. AIFF), it will be transcoded to WAV via ffmpeg.
+ipcMain.handle('get-audio-playback-url', async (event, filePath, options = {}) => {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { success: false, error: 'Audio file not found' };
+    }
+
+    const ext = path.extname(filePath).toLowerCase().slice(1);
+    const forceTranscode = !!options.forceTranscode;
+
+    // Keep these as-is to avoid unnecessary transcoding.
+    const passthrough = new Set(['mp3', 'wav', 'ogg']);
+    const needsTranscode = forceTranscode || !passthrough.has(ext);
+
+    if (!needsTranscode) {
+      return { success: true, url: pathToFileURL(filePath).href, wasTranscoded: false };
+    }
+
+    if (!ffmpegPath) {
+      // No ffmpeg available; return the original file URL and let the renderer try.
+      return { success: true, url: pathToFileURL(filePath).href, wasTranscoded: false, warning: 'ffmpeg unavailable' };
+    }
+
+    const wavPath = await transcodeToWavCached(filePath);
+    return { success: true, url: pathToFileURL(wavPath).href, wasTranscoded: true, transcodedPath: wavPath };
+  } catch (e) {
+    return { success: false, error: String(e.message || e) };
+  }
+});
+
+// Transcode an audio file to MP3 and return a data: URL (used for HTML/GitHub export).
+ipcMain.handle('transcode-audio-to-mp3-dataurl', async (event, filePath, bitrateKbps = 128) => {
+  try {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { success: false, error: 'Audio file not found' };
+    }
+    if (!ffmpegPath) {
+      return { success: false, error: 'ffmpeg unavailable' };
+    }
+    const out = await transcodeToMp3DataUrl(filePath, bitrateKbps);
+    return { success: true, dataUrl: out.dataUrl };
+  } catch (e) {
+    return { success: false, error: String(e.message || e) };
+  }
+});
+
+// Note: Audio MP3 compression is handled in the renderer process using lamejs from CDN
+// See compressAudioToMp3() function in index.html
+
+// Read canvas JSON
+ipcMain.handle('read-canvas-json', async (event, filePath) => {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return { success: true, data: null };
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    return { success: true, data: content };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Write canvas JSON
+ipcMain.handle('write-canvas-json', async (event, filePath, jsonData) => {
+  try {
+    snapshotBeforeWrite(filePath, jsonData);
+    writeFileAtomic(filePath, jsonData);
+    rememberOwnWrite(filePath);
+    const stats = fs.statSync(filePath);
+    return { success: true, lastModified: stats.mtimeMs };
+  } catch (e) {
+    return { success: false, error: describeWriteError(e, filePath) };
+  }
+});
+
+// Delete canvas files
+ipcMain.handle('delete-canvas-files', async (event, basePath) => {
+  try {
+    const jsonPath = basePath + '.canvas.json';
+    const pngPath = basePath + '.canvas.png';
+    if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
+    if (fs.existsSync(pngPath)) fs.unlinkSync(pngPath);
+    rememberOwnWrite(jsonPath);
+    rememberOwnWrite(pngPath);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Show input dialog (for new note name)
+ipcMain.handle('show-prompt', async (event, message, defaultValue) => {
+  // Electron doesn't have a native prompt, so we use a custom approach
+  // We'll create a small input dialog window
+  return new Promise((resolve) => {
+    const promptWindow = new BrowserWindow({
+      width: 400,
+      height: 160,
+      parent: mainWindow,
+      modal: true,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, 'prompt-preload.js'),
+        contextIsolation: true,
+        nodeIntegration: false
+      }
+    });
+
+    promptWindow.setMenuBarVisibility(false);
+    
+    // Load a simple HTML for the prompt
+    promptWindow.loadFile('prompt.html');
+    
+    promptWindow.once('ready-to-show', () => {
+      promptWindow.show();
+      promptWindow.webContents.send('set-prompt', message, defaultValue || '');
+    });
+
+    // Handle the response
+    ipcMain.once('prompt-response', (e, result) => {
+      promptWindow.close();
+      resolve(result);
+    });
+
+    promptWindow.on('closed', () => {
+      resolve(null);
+    });
+  });
+});
+
+// Show confirm dialog. `options.confirmLabel` and `options.title` replace the "Delete" wording
+ipcMain.handle('show-confirm', async (event, message, options = {}) => {
+  const result = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Cancel', options.confirmLabel || 'Delete'],
+    defaultId: 0,
+    cancelId: 0,
+    title: options.title || 'Confirm Delete',
+    message: message
+  });
+  return result.response === 1;
+});
+
+// Show alert
+ipcMain.handle('show-alert', async (event, message) => {
+  await dialog.showMessageBox(mainWindow, {
+    type: 'info',
+    buttons: ['OK'],
+    title: 'Alert',
+    message: message
+  });
+  return true;
+});
+
+// Create a new folder
+ipcMain.handle('create-folder', async (event, folderPath) => {
+  try {
+    if (fs.existsSync(folderPath)) {
+      return { success: false, error: 'Folder already exists' };
+    }
+    fs.mkdirSync(folderPath, { recursive: true });
+    rememberOwnWrite(folderPath);
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Show save dialog
+ipcMain.handle('show-save-dialog', async (event, options) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: options.title || 'Save File',
+    defaultPath: options.defaultPath,
+    filters: options.filters || []
+  });
+  
+  if (result.canceled) {
+    return null;
+  }
+  
+  return result.filePath;
+});
+
+
+// ============ Version History ============
+// Before a note or canvas JSON is overwritten, the previous version is copied to
+// <folder>/.history/<fileName>/<timestamp>.<ext>. Snapshots are throttled and pruned.
+
+const HISTORY_DIR_NAME = '.history';
+const HISTORY_MIN_INTERVAL_MS = 5 * 60 * 1000;
+const HISTORY_MAX_COUNT = 50;
+const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function getHistoryDir(filePath) {
+  return path.join(path.dirname(filePath), HISTORY_DIR_NAME, path.basename(filePath));
+}
+
+// Newest first
+function listSnapshots(filePath) {
+  const dir = getHistoryDir(filePath);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => ({ id: name, timestamp: parseInt(name, 10) }))
+    .filter(snap => Number.isFinite(snap.timestamp))
+    .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+function pruneSnapshots(filePath) {
+  const dir = getHistoryDir(filePath);
+  const now = Date.now();
+  listSnapshots(filePath).forEach((snap, i) => {
+    if (i >= HISTORY_MAX_COUNT || now - snap.timestamp > HISTORY_MAX_AGE_MS) {
+      try { fs.unlinkSync(path.join(dir, snap.id)); } catch (_e) {}
+    }
+  });
+}
+
+// Copy the file's current text into its history. Unless `force` is set, nothing is taken
+// within HISTORY_MIN_INTERVAL_MS of the previous snapshot.
+function takeSnapshot(filePath, { force = false } = {}) {
+  try {
+    if (!fs.existsSync(filePath)) return;
+    const current = fs.readFileSync(filePath, 'utf8');
+    if (!current) return;
+
+    const dir = getHistoryDir(filePath);
+    const latest = listSnapshots(filePath)[0];
+    const now = Date.now();
+    if (latest) {
+      if (!force && now - latest.timestamp < HISTORY_MIN_INTERVAL_MS) return;
+      if (fs.readFileSync(path.join(dir, latest.id), 'utf8') === current) return;
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    writeFileAtomic(path.join(dir, `${now}${path.extname(filePath)}`), current);
+    pruneSnapshots(filePath);
+  } catch (e) {
+    console.error('Could not take snapshot of', filePath, e);
+  }
+}
+
+function snapshotBeforeWrite(filePath, newContent) {
+  try {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === newContent) return;
+  } catch (_e) {}
+  takeSnapshot(filePath);
+}
+
+ipcMain.handle('list-history', async (event, filePath) => {
+  try {
+    const dir = getHistoryDir(filePath);
+    const snapshots = listSnapshots(filePath).map(snap => {
+      let size = 0;
+      try { size = fs.statSync(path.join(dir, snap.id)).size; } catch (_e) {}
+      return { ...snap, size };
+    });
+    return { success: true, snapshots };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('read-history', async (event, filePath, id) => {
+  try {
+    const content = fs.readFileSync(path.join(getHistoryDir(filePath), path.basename(id)), 'utf8');
+    return { success: true, content };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Snapshot the file now, ignoring the throttle (used before restoring an older version)
+ipcMain.handle('snapshot-file', async (event, filePath) => {
+  takeSnapshot(filePath, { force: true });
+  return { success: true };
+});
+
+// ============ Note Rename ============
+
+// A note's attachments (named as noteparse.js describes) in the order the note lists them:
+// [{ name, kind, number, size, lastModified }]. A name that could belong to two notes ("a.2.png")
+// goes to the note with the longer title.
+function noteAttachments(notePath) {
+  const folder = path.dirname(notePath);
+  const title = path.basename(notePath).replace(NOTE_EXT_RE, '').toLowerCase();
+  const entries = fs.readdirSync(folder, { withFileTypes: true }).filter(entry => entry.isFile());
+  const titles = new Set(entries.filter(entry => isNoteFileName(entry.name)).map(entry => entry.name.toLowerCase().replace(NOTE_EXT_RE, '')));
+  titles.add(title);
+  const list = [];
+  for (const entry of entries) {
+    const owner = noteParse.attachmentOwner(entry.name, titles);
+    if (!owner || owner.base !== title) continue;
+    const stats = fs.statSync(path.join(folder, entry.name));
+    list.push({ name: entry.name, kind: noteParse.attachmentKind(entry.name), number: owner.number, size: stats.size, lastModified: stats.mtimeMs });
+  }
+  return list.sort(noteParse.compareAttachments);
+}
+
+// Titles of the notes in a folder, lowercase
+function folderNoteTitles(folder) {
+  return new Set(fs.readdirSync(folder).filter(isNoteFileName).map(name => name.toLowerCase().replace(NOTE_EXT_RE, '')));
+}
+
+// The attachment number after `number` for note `title`, skipping those that would name another
+// note's attachment ("Title.2.png" is note "Title.2"'s image when that note exists)
+function nextAttachmentNumber(titles, title, number) {
+  do number++; while (number > 1 && titles.has(`${title.toLowerCase()}.${number}`));
+  return number;
+}
+
+// Every file that goes with a note: its attachments, then "Title.canvas.json" and "Title.canvas.png"
+function listNoteAttachments(notePath) {
+  const base = path.basename(notePath).replace(NOTE_EXT_RE, '').toLowerCase();
+  const canvasNames = [`${base}.canvas.json`, `${base}.canvas.png`];
+  const canvasFiles = fs.readdirSync(path.dirname(notePath)).filter(name => canvasNames.includes(name.toLowerCase()));
+  return noteAttachments(notePath).map(att => att.name).concat(canvasFiles);
+}
+
+// List the files that belong to a note: `files` has every name (canvas files included),
+// `attachments` the attachments in order, as noteAttachments() gives them
+ipcMain.handle('list-note-attachments', async (event, notePath) => {
+  try {
+    return { success: true, files: listNoteAttachments(notePath), attachments: noteAttachments(notePath) };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Copy files into a note's folder as its next attachments ("Title.3.pdf", ...). Text and
+// Markdown files would show up as notes there, so they are left out and listed in `skipped`.
+ipcMain.handle('add-note-attachments', async (event, notePath, srcPaths) => {
+  let destPath = null;
+  try {
+    const folder = path.dirname(notePath);
+    const title = path.basename(notePath).replace(NOTE_EXT_RE, '');
+    const titles = folderNoteTitles(folder);
+    let number = noteAttachments(notePath).reduce((max, att) => Math.max(max, att.number), 0);
+    const added = [];
+    const skipped = [];
+    for (const srcPath of srcPaths) {
+      const ext = path.extname(srcPath).slice(1).toLowerCase();
+      if (!/^[a-z0-9]{1,10}$/.test(ext) || isNoteFileName(srcPath)) {
+        skipped.push(path.basename(srcPath));
+        continue;
+      }
+      let name;
+      do {
+        number = nextAttachmentNumber(titles, title, number);
+        name = noteParse.attachmentFileName(title, number, ext);
+      } while (fs.existsSync(path.join(folder, name)));
+      fs.accessSync(srcPath, fs.constants.R_OK); // a missing source isn't a failed write
+      destPath = path.join(folder, name);
+      copyFileAtomic(srcPath, destPath);
+      rememberOwnWrite(destPath);
+      destPath = null;
+      added.push(name);
+    }
+    return { success: true, added, skipped, attachments: noteAttachments(notePath) };
+  } catch (e) {
+    return { success: false, error: destPath ? describeWriteError(e, destPath) : e.message };
+  }
+});
+
+// Copy a file into a note's folder for its text to reference (![[name]]): `source` is { path }
+// for a file elsewhere on disk or { base64, ext } for pasted data. The name is the file's own, or "Pasted
+// image <time>" for pasted data, with a number added when it's taken or would make the file
+// another note's attachment.
+ipcMain.handle('import-note-file', async (event, notePath, source) => {
+  let destPath = null;
+  try {
+    const folder = path.dirname(notePath);
+    const ext = (source.path ? path.extname(source.path).slice(1) : String(source.ext || '')).toLowerCase();
+    if (!/^[a-z0-9]{1,10}$/.test(ext) || NOTE_EXT_RE.test(`.${ext}`)) {
+      return { success: false, error: 'Only files that aren\'t notes can be referenced' };
+    }
+    // A file already next to the note is referenced where it is
+    if (source.path && path.resolve(path.dirname(source.path)) === path.resolve(folder)) {
+      return { success: true, name: path.basename(source.path) };
+    }
+    const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const stem = (source.path ? path.basename(source.path, path.extname(source.path)) : `Pasted image ${stamp}`)
+      .replace(/[[\]|#^\r\n]/g, '-').trim() || 'file';
+    const titles = folderNoteTitles(folder);
+    let name = `${stem}.${ext}`;
+    for (let n = 2; fs.existsSync(path.join(folder, name)) || noteParse.attachmentOwner(name, titles); n++) {
+      name = `${stem} ${n}.${ext}`;
+    }
+    if (source.path) fs.accessSync(source.path, fs.constants.R_OK);
+    destPath = path.join(folder, name);
+    if (source.path) copyFileAtomic(source.path, destPath);
+    else writeFileAtomic(destPath, Buffer.from(source.base64, 'base64'));
+    rememberOwnWrite(destPath);
+    return { success: true, name };
+  } catch (e) {
+    return { success: false, error: destPath ? describeWriteError(e, destPath) : e.message };
+  }
+});
+
+// Put a note's attachments in the order of `names` by renumbering them: the first gets the plain
+// "Title.ext" name, the others "Title.2.ext", "Title.3.ext"... (see nextAttachmentNumber). Every file goes through a
+// temporary name first, so two of them can swap places.
+ipcMain.handle('reorder-note-attachments', async (event, notePath, names) => {
+  const done = [];
+  try {
+    const folder = path.dirname(notePath);
+    const title = path.basename(notePath).replace(NOTE_EXT_RE, '');
+    const current = noteAttachments(notePath).map(att => att.name);
+    if (names.length !== current.length || names.some(name => !current.includes(name))) {
+      return { success: false, error: 'The attachments changed on disk. Try again.' };
+    }
+    const titles = folderNoteTitles(folder);
+    const stamp = Date.now();
+    let number = 0;
+    const moves = names.map(name => {
+      number = nextAttachmentNumber(titles, title, number);
+      return {
+        from: path.join(folder, name),
+        tmp: path.join(folder, `${name}.reorder-${stamp}`),
+        to: path.join(folder, noteParse.attachmentFileName(title, number, path.extname(name).slice(1)))
+      };
+    });
+    const taken = moves.find(move => !current.some(name => name.toLowerCase() === path.basename(move.to).toLowerCase()) && fs.existsSync(move.to));
+    if (taken) {
+      return { success: false, error: `"${path.basename(taken.to)}" already exists` };
+    }
+
+    for (const move of moves) {
+      fs.renameSync(move.from, move.tmp);
+      rememberOwnWrite(move.from);
+      rememberOwnWrite(move.tmp);
+      done.push(move);
+    }
+    for (const move of moves) {
+      fs.renameSync(move.tmp, move.to);
+      rememberOwnWrite(move.tmp);
+      rememberOwnWrite(move.to);
+      move.placed = true;
+    }
+    return { success: true, attachments: noteAttachments(notePath) };
+  } catch (e) {
+    // Back to the temporary names first: one file's new name can be another's old one, so
+    // nothing returns to its old name while a placed file may still hold it
+    for (const move of done) {
+      if (!move.placed) continue;
+      try {
+        fs.renameSync(move.to, move.tmp);
+        move.placed = false;
+      } catch (_e) {}
+    }
+    for (const move of done) {
+      if (move.placed || fs.existsSync(move.from)) continue;
+      try {
+        fs.renameSync(move.tmp, move.from);
+        rememberOwnWrite(move.tmp);
+        rememberOwnWrite(move.from);
+      } catch (_e) {}
+    }
+    return { success: false, error: e.message };
+  }
+});
+
+// Read every note under a root folder (hidden folders skipped, like read-folder)
+ipcMain.handle('read-notes-tree', async (event, rootPath) => {
+  try {
+    const notes = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.')) walk(fullPath);
+          continue;
+        }
+        if (!entry.isFile() || !isNoteFileName(entry.name)) continue;
+        const content = fs.readFileSync(fullPath, 'utf8');
+        const stats = fs.statSync(fullPath);
+        notes.push({
+          name: entry.name,
+          path: fullPath,
+          folder: dir,
+          content: content,
+          hash: hashText(content),
+          size: stats.size,
+          lastModified: stats.mtimeMs
+        });
+      }
+    };
+    walk(rootPath);
+    return { success: true, notes: notes };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Rename a batch of files as one step: nothing moves if a target is taken,
+// and moves already made are undone if a later one fails
+ipcMain.handle('rename-files', async (event, moves) => {
+  const done = [];
+  try {
+    const taken = moves.find(({ from, to }) =>
+      from.toLowerCase() !== to.toLowerCase() && fs.existsSync(to));
+    if (taken) {
+      return { success: false, error: `"${path.basename(taken.to)}" already exists` };
+    }
+
+    for (const { from, to } of moves) {
+      if (from === to) continue;
+      if (from.toLowerCase() === to.toLowerCase()) {
+        // Case-only change: go through a temp name so case-insensitive filesystems pick it up
+        const tmp = `${from}.renaming-${Date.now()}`;
+        fs.renameSync(from, tmp);
+        fs.renameSync(tmp, to);
+      } else {
+        fs.renameSync(from, to);
+      }
+      rememberOwnWrite(from);
+      rememberOwnWrite(to);
+      done.push({ from, to });
+
+      // Version history follows the file
+      const fromHistory = getHistoryDir(from);
+      const toHistory = getHistoryDir(to);
+      if (fs.existsSync(fromHistory) && !fs.existsSync(toHistory)) {
+        try { fs.renameSync(fromHistory, toHistory); } catch (_e) {}
+      }
+    }
+    return { success: true };
+  } catch (e) {
+    for (const { from, to } of done.reverse()) {
+      try { fs.renameSync(to, from); } catch (_e) {}
+    }
+    return { success: false, error: e.message };
+  }
+});
+
+// ============ Stray Attachments ============
+// Attachments pair with notes by name only, so notes renamed or deleted outside the app leave
+// their files behind. These find such files, and the notes whose drawing and its preview image
+// disagree, so they can be attached again or cleared away.
+
+const CANVAS_STALE_MS = 2000; // a preview this much older than its drawing missed a save
+const OS_METADATA_FILES = new Set(['thumbs.db', 'ehthumbs.db', 'desktop.ini', '.ds_store']);
+
+// Whether a file has a name only the app gives attachments: "Title.2.pdf", "Title.nvimg.png" or
+// "Title.audio.m4a". A plain "Title.pdf" could as well be any file kept in the folder, so it is
+// never taken for one a note left behind.
+function hasAttachmentName(name) {
+  if (name.startsWith('.') || OS_METADATA_FILES.has(name.toLowerCase())) return false;
+  const readings = noteParse.attachmentReadings(name);
+  return /\.(nvimg|audio)\.[^.]+$/i.test(name) ? readings.length > 0 : readings.some(reading => reading.number > 1);
+}
+
+// Files under the root with attachment names (see hasAttachmentName) that no note owns (see
+// noteparse.js) and no note's text references, and canvas files that don't match up: { orphans, canvases, folderNotes }. orphans are
+// [{ folder, name, kind, base, files, size }] with files the names in folder (a drawing left
+// without its note is one item with its preview, base its old title); canvases are
+// [{ folder, name, notePath, problem, files, size }] with problem 'no-preview' (a drawing without
+// its image), 'stale' (an image older than the drawing) or 'no-drawing' (an image without the
+// drawing it shows). folderNotes lists the note names of each folder with orphans.
+ipcMain.handle('find-stray-attachments', async (event, rootPath) => {
+  try {
+    // A file the text of any note shows counts as used, wherever it is
+    const referenced = new Set();
+    for (const doc of getNoteSearch(rootPath).all()) {
+      let content;
+      try {
+        content = readNoteText(doc.path).content;
+      } catch (_e) {
+        continue;
+      }
+      for (const { ref } of noteParse.findFileRefs(content)) referenced.add(path.resolve(doc.folder, ref).toLowerCase());
+    }
+    const isUsed = (dir, name) => referenced.has(path.join(dir, name).toLowerCase());
+
+    const orphans = [];
+    const canvases = [];
+    const folderNotes = {};
+    const walk = (dir) => {
+      const notes = new Map(); // lowercase title -> note file name
+      const files = [];
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!entry.name.startsWith('.')) walk(fullPath);
+          continue;
+        }
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        if (isNoteFileName(entry.name)) notes.set(entry.name.toLowerCase().replace(NOTE_EXT_RE, ''), entry.name);
+        else files.push({ name: entry.name, stats: fs.statSync(fullPath) });
+      }
+      const titles = new Set(notes.keys());
+
+      const drawings = new Map(); // lowercase title -> { base, json, png }
+      for (const file of files) {
+        const canvas = file.name.match(/^(.+)\.canvas\.(json|png)$/i);
+        if (canvas) {
+          const key = canvas[1].toLowerCase();
+          if (!drawings.has(key)) drawings.set(key, { base: canvas[1] });
+          drawings.get(key)[canvas[2].toLowerCase()] = file;
+          continue;
+        }
+        if (!hasAttachmentName(file.name)) continue;
+        if (noteParse.attachmentOwner(file.name, titles) || isUsed(dir, file.name)) continue;
+        orphans.push({ folder: dir, name: file.name, kind: noteParse.attachmentKind(file.name), base: null, files: [file.name], size: file.stats.size });
+      }
+
+      for (const [key, drawing] of drawings) {
+        const parts = [drawing.json, drawing.png].filter(Boolean);
+        const item = { folder: dir, files: parts.map(file => file.name), size: parts.reduce((sum, file) => sum + file.stats.size, 0) };
+        if (!notes.has(key)) {
+          if (parts.some(file => isUsed(dir, file.name))) continue;
+          orphans.push({ ...item, name: `${drawing.base}.canvas`, kind: 'canvas', base: drawing.base });
+          continue;
+        }
+        let problem = null;
+        if (!drawing.png) problem = 'no-preview';
+        else if (!drawing.json) problem = isUsed(dir, drawing.png.name) ? null : 'no-drawing';
+        else if (drawing.png.stats.mtimeMs + CANVAS_STALE_MS < drawing.json.stats.mtimeMs) problem = 'stale';
+        if (problem) canvases.push({ ...item, name: notes.get(key), notePath: path.join(dir, notes.get(key)), problem });
+      }
+
+      if (orphans.some(item => item.folder === dir)) {
+        folderNotes[dir] = Array.from(notes.values()).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+      }
+    };
+    walk(rootPath);
+
+    const byPlace = (a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+    return { success: true, orphans: orphans.sort(byPlace), canvases: canvases.sort(byPlace), folderNotes };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+});
+
+// Make files the attachments of the note at notePath, moving them into its folder: canvas files
+// become its drawing and preview (when it has none), the others its next attachments. Nothing
+// moves if one of them can't.
+ipcMain.handle('reattach-files', async (event, notePath, filePaths) => {
+  const done = [];
+  try {
+    const folder = path.dirname(notePath);
+    const title = path.basename(notePath).replace(NOTE_EXT_RE, '');
+    const titles = folderNoteTitles(folder);
+    let number = noteAttachments(notePath).reduce((max, att) => Math.max(max, att.number), 0);
+    const moves = [];
+    for (const from of filePaths) {
+      const canvas = path.basename(from).match(/\.canvas\.(json|png)$/i);
+      let to;
+      if (canvas) {
+        to = path.join(folder, `${title}.canvas.${canvas[1].toLowerCase()}`);
+        if (fs.existsSync(to)) return { success: false, error: `"${title}" has a canvas already` };
+      } else {
+        do {
+          number = nextAttachmentNumber(titles, title, number);
+          to = path.join(folder, noteParse.attachmentFileName(title, number, path.extname(from).slice(1)));
+        } while (fs.existsSync(to));
+      }
+      moves.push({ from, to });
+    }
+
+    for (const move of moves) {
+      fs.renameSync(move.from, move.to);
+      rememberOwnWrite(move.from);
+      rememberOwnWrite(move.to);
+      done.push(move);
+    }
+    return { success: true, names: moves.map(move => path.basename(move.to)) };
   } catch (e) {
+    for (const move of done.reverse()) {
+      try { fs.renameSync(move.to, move.from); } catch (_e) {}
+    }
     return { success: false, error: e.message };
   }
 });
 
+// ============ Trash ============
+// Deleted notes are moved to <root>/.trash/<id>/ together with their attachments.
+// Each item keeps a meta.json manifest so it can be restored to its original folder.
 
-// Get a playback URL for an audio file.
-// If the format isn't reliably supported by Chromium (e.g. AIFF), it will be transcoded to WAV via ffmpeg.
-ipcMain.handle('get-audio-playback-url', async (event, filePath, options = {}) => {
-  try {
-    if (!filePath || !fs.existsSync(filePath)) {
-      return { success: false, error: 'Audio file not found' };
-    }
+const TRASH_DIR_NAME = '.trash';
+const TRASH_META_NAME = 'meta.json';
+const TRASH_ID_RE = /^\d+-[0-9a-f]{6}$/; // "<ms>-<hex>", as move-to-trash names items
 
-    const ext = path.extname(filePath).toLowerCase().slice(1);
-    const forceTranscode = !!options.forceTranscode;
+function getTrashDir(rootPath) {
+  return path.join(rootPath, TRASH_DIR_NAME);
+}
 
-    // Keep these as-is to avoid unnecessary transcoding.
-    const passthrough = new Set(['mp3', 'wav', 'ogg']);
-    const needsTranscode = forceTranscode || !passthrough.has(ext);
+// The folder of trash item `id`; ids come from the renderer, so anything that isn't one is refused
+function trashItemDir(rootPath, id) {
+  if (typeof id !== 'string' || !TRASH_ID_RE.test(id) || path.basename(id) !== id) {
+    throw new Error('Not a trash item');
+  }
+  return path.join(getTrashDir(rootPath), id);
+}
 
-    if (!needsTranscode) {
-      return { success: true, url: pathToFileURL(filePath).href, wasTranscoded: false };
+function readTrashItem(rootPath, id) {
+  const dir = trashItemDir(rootPath, id);
+  const meta = JSON.parse(fs.readFileSync(path.join(dir, TRASH_META_NAME), 'utf8'));
+  let size = 0;
+  for (const name of meta.files || []) {
+    try { size += fs.statSync(path.join(dir, name)).size; } catch (_e) {}
+  }
+  return { ...meta, id, dir, size };
+}
+
+function listTrashItems(rootPath) {
+  const trashDir = getTrashDir(rootPath);
+  if (!fs.existsSync(trashDir)) return [];
+  const items = [];
+  for (const entry of fs.readdirSync(trashDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    try {
+      items.push(readTrashItem(rootPath, entry.name));
+    } catch (_e) {
+      // Not one of ours (or a half-written item); leave it alone
     }
+  }
+  return items.sort((a, b) => b.deletedAt - a.deletedAt);
+}
 
-    if (!ffmpegPath) {
-      // No ffmpeg available; return the original file URL and let the renderer try.
-      return { success: true, url: pathToFileURL(filePath).href, wasTranscoded: false, warning: 'ffmpeg unavailable' };
+// Move files (all from one folder) into a new trash item.
+// info: { label, base } - label is shown in the Trash view, base is the note title the files share.
+// When a move or the manifest fails, the files already moved go back; any that can't stay in the
+// item with a manifest of their own, so the Trash view still shows them.
+ipcMain.handle('move-to-trash', async (event, rootPath, filePaths, info = {}) => {
+  let itemDir = null;
+  let meta = null;
+  const moved = []; // { name, from }
+  try {
+    const existing = filePaths.filter(p => fs.existsSync(p));
+    if (existing.length === 0) return { success: true, id: null };
+
+    const id = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    itemDir = trashItemDir(rootPath, id);
+    fs.mkdirSync(itemDir, { recursive: true });
+    meta = {
+      label: info.label || path.basename(existing[0]),
+      base: info.base || null,
+      folder: path.relative(rootPath, path.dirname(existing[0])),
+      deletedAt: Date.now(),
+      files: []
+    };
+
+    for (const p of existing) {
+      const name = path.basename(p);
+      fs.renameSync(p, path.join(itemDir, name));
+      rememberOwnWrite(p);
+      moved.push({ name, from: p });
     }
 
-    const wavPath = await transcodeToWavCached(filePath);
-    return { success: true, url: pathToFileURL(wavPath).href, wasTranscoded: true, transcodedPath: wavPath };
+    meta.files = moved.map(m => m.name);
+    writeFileAtomic(path.join(itemDir, TRASH_META_NAME), JSON.stringify(meta, null, 2));
+    return { success: true, id };
   } catch (e) {
-    return { success: false, error: String(e.message || e) };
+    if (itemDir) {
+      const left = [];
+      for (const m of moved.reverse()) {
+        try {
+          fs.renameSync(path.join(itemDir, m.name), m.from);
+          rememberOwnWrite(m.from);
+        } catch (_e) {
+          left.push(m.name);
+        }
+      }
+      try {
+        if (left.length) writeFileAtomic(path.join(itemDir, TRASH_META_NAME), JSON.stringify({ ...meta, files: left.reverse() }, null, 2));
+        else fs.rmSync(itemDir, { recursive: true, force: true });
+      } catch (_e) {}
+    }
+    return { success: false, error: e.message };
   }
 });
 
-// Transcode an audio file to MP3 and return a data: URL (used for HTML/GitHub export).
-ipcMain.handle('transcode-audio-to-mp3-dataurl', async (event, filePath, bitrateKbps = 128) => {
+ipcMain.handle('list-trash', async (event, rootPath) => {
   try {
-    if (!filePath || !fs.existsSync(filePath)) {
-      return { success: false, error: 'Audio file not found' };
-    }
-    if (!ffmpegPath) {
-      return { success: false, error: 'ffmpeg unavailable' };
-    }
-    const out = await transcodeToMp3DataUrl(filePath, bitrateKbps);
-    return { success: true, dataUrl: out.dataUrl };
+    return { success: true, items: listTrashItems(rootPath) };
   } catch (e) {
-    return { success: false, error: String(e.message || e) };
+    return { success: false, error: e.message };
   }
 });
 
-// Note: Audio MP3 compression is handled in the renderer process using lamejs from CDN
-// See compressAudioToMp3() function in index.html
-
-// Read canvas JSON
-ipcMain.handle('read-canvas-json', async (event, filePath) => {
+// Put a trash item back in its original folder. If a file with the same name is there now,
+// all of the item's files are restored under "<base> (restored)" so they still pair up.
+ipcMain.handle('restore-trash-item', async (event, rootPath, id) => {
   try {
-    if (!fs.existsSync(filePath)) {
-      return { success: true, data: null };
+    const item = readTrashItem(rootPath, id);
+    const targetDir = path.join(rootPath, item.folder || '');
+    fs.mkdirSync(targetDir, { recursive: true });
+
+    const renameFor = (name, newBase) => {
+      if (!item.base || !newBase || !name.startsWith(item.base)) return name;
+      return newBase + name.slice(item.base.length);
+    };
+    let newBase = null;
+    if (item.files.some(name => fs.existsSync(path.join(targetDir, name)))) {
+      for (let i = 1; ; i++) {
+        const candidate = `${item.base || 'Restored'} (restored${i > 1 ? ' ' + i : ''})`;
+        if (!item.files.some(name => fs.existsSync(path.join(targetDir, renameFor(name, candidate))))) {
+          newBase = candidate;
+          break;
+        }
+      }
     }
-    const content = fs.readFileSync(filePath, 'utf8');
-    return { success: true, data: content };
+
+    const restored = [];
+    for (const name of item.files) {
+      const dest = path.join(targetDir, renameFor(name, newBase));
+      fs.renameSync(path.join(item.dir, name), dest);
+      rememberOwnWrite(dest);
+      restored.push(path.basename(dest));
+    }
+    fs.rmSync(item.dir, { recursive: true, force: true });
+    return { success: true, folder: targetDir, files: restored };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Write canvas JSON
-ipcMain.handle('write-canvas-json', async (event, filePath, jsonData) => {
+// Permanently delete one trash item
+ipcMain.handle('purge-trash-item', async (event, rootPath, id) => {
   try {
-    fs.writeFileSync(filePath, jsonData, 'utf8');
-    const stats = fs.statSync(filePath);
-    return { success: true, lastModified: stats.mtimeMs };
+    fs.rmSync(trashItemDir(rootPath, id), { recursive: true, force: true });
+    return { success: true };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Delete canvas files
-ipcMain.handle('delete-canvas-files', async (event, basePath) => {
+// Permanently delete trash items older than `olderThanDays` (everything when it's null)
+ipcMain.handle('purge-trash', async (event, rootPath, olderThanDays = null) => {
   try {
-    const jsonPath = basePath + '.canvas.json';
-    const pngPath = basePath + '.canvas.png';
-    if (fs.existsSync(jsonPath)) fs.unlinkSync(jsonPath);
-    if (fs.existsSync(pngPath)) fs.unlinkSync(pngPath);
-    return { success: true };
+    const cutoff = olderThanDays == null ? Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    let purged = 0;
+    for (const item of listTrashItems(rootPath)) {
+      if (item.deletedAt <= cutoff) {
+        fs.rmSync(item.dir, { recursive: true, force: true });
+        purged++;
+      }
+    }
+    return { success: true, purged };
   } catch (e) {
     return { success: false, error: e.message };
   }
 });
 
-// Show input dialog (for new note name)
-ipcMain.handle('show-prompt', async (event, message, defaultValue) => {
-  // Electron doesn't have a native prompt, so we use a custom approach
-  // We'll create a small input dialog window
-  return new Promise((resolve) => {
-    const promptWindow = new BrowserWindow({
-      width: 400,
-      height: 160,
-      parent: mainWindow,
-      modal: true,
-      resizable: false,
-      minimizable: false,
-      maximizable: false,
-      show: false,
-      webPreferences: {
-        preload: path.join(__dirname, 'prompt-preload.js'),
-        contextIsolation: true,
-        nodeIntegration: false
+// ============ Folder Watcher ============
+// Watches the notes root so edits made by sync tools (Dropbox, Syncthing, ...)
+// or other machines show up without a manual refresh.
+
+const WATCH_DEBOUNCE_MS = 300;
+const OWN_WRITE_TTL_MS = 5000;
+
+let folderWatcher = null;
+let watchedRoot = null;
+let watchSnapshot = new Map(); // fullPath -> { isDirectory, size, mtimeMs }
+let watchPending = new Set();
+let watchFlushTimer = null;
+const ownWrites = new Map(); // fullPath -> { size, mtimeMs, deleted, at }
+
+// Hidden files and folders (.trash, temp files, ...) never reach the renderer
+function isHiddenWatchPath(fullPath) {
+  if (!watchedRoot) return true;
+  const rel = path.relative(watchedRoot, fullPath);
+  if (!rel || rel.startsWith('..')) return false;
+  return rel.split(path.sep).some(seg => seg.startsWith('.'));
+}
+
+function statForWatch(fullPath) {
+  try {
+    const st = fs.statSync(fullPath);
+    return { isDirectory: st.isDirectory(), size: st.size, mtimeMs: st.mtimeMs };
+  } catch (_e) {
+    return null;
+  }
+}
+
+function snapshotTree(dir, into) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_e) {
+    return;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const fullPath = path.join(dir, entry.name);
+    const st = statForWatch(fullPath);
+    if (!st) continue;
+    into.set(fullPath, st);
+    if (st.isDirectory) snapshotTree(fullPath, into);
+  }
+}
+
+// Record a change made by this app so the watcher doesn't echo it back as external
+function rememberOwnWrite(filePath) {
+  markSearchStale(filePath);
+  const st = statForWatch(filePath);
+  ownWrites.set(filePath, st ? { size: st.size, mtimeMs: st.mtimeMs, deleted: false, at: Date.now() } : { deleted: true, at: Date.now() });
+  if (watchedRoot && !isHiddenWatchPath(filePath)) {
+    if (st) watchSnapshot.set(filePath, st);
+    else watchSnapshot.delete(filePath);
+  }
+}
+
+function isOwnWrite(fullPath, st) {
+  const own = ownWrites.get(fullPath);
+  if (!own) return false;
+  if (Date.now() - own.at > OWN_WRITE_TTL_MS) {
+    ownWrites.delete(fullPath);
+    return false;
+  }
+  if (own.deleted) return !st;
+  return !!st && st.size === own.size && st.mtimeMs === own.mtimeMs;
+}
+
+function flushWatchEvents() {
+  watchFlushTimer = null;
+  if (!watchedRoot) return;
+
+  const added = [];
+  const deleted = [];
+  const changed = [];
+
+  for (const fullPath of watchPending) {
+    const prev = watchSnapshot.get(fullPath);
+    const st = statForWatch(fullPath);
+    markSearchStale(fullPath);
+
+    if (isOwnWrite(fullPath, st)) continue;
+
+    if (st && !prev) {
+      watchSnapshot.set(fullPath, st);
+      if (st.isDirectory) snapshotTree(fullPath, watchSnapshot);
+      added.push({ path: fullPath, ...st });
+    } else if (!st && prev) {
+      watchSnapshot.delete(fullPath);
+      if (prev.isDirectory) {
+        const prefix = fullPath + path.sep;
+        for (const p of Array.from(watchSnapshot.keys())) {
+          if (p.startsWith(prefix)) watchSnapshot.delete(p);
+        }
       }
-    });
+      deleted.push({ path: fullPath, ...prev });
+    } else if (st && prev && !st.isDirectory && (st.size !== prev.size || st.mtimeMs !== prev.mtimeMs)) {
+      watchSnapshot.set(fullPath, st);
+      changed.push({ path: fullPath, ...st });
+    }
+  }
+  watchPending = new Set();
 
-    promptWindow.setMenuBarVisibility(false);
-    
-    // Load a simple HTML for the prompt
-    promptWindow.loadFile('prompt.html');
-    
-    promptWindow.once('ready-to-show', () => {
-      promptWindow.show();
-      promptWindow.webContents.send('set-prompt', message, defaultValue || '');
-    });
+  const events = [];
 
-    // Handle the response
-    ipcMain.once('prompt-response', (e, result) => {
-      promptWindow.close();
-      resolve(result);
-    });
+  // A delete and an add of a file with identical size and mtime in one batch is a rename/move
+  for (const del of deleted) {
+    const matchIdx = del.isDirectory ? -1 : added.findIndex(a =>
+      !a.isDirectory && a.size === del.size && a.mtimeMs === del.mtimeMs);
+    if (matchIdx >= 0) {
+      const add = added.splice(matchIdx, 1)[0];
+      events.push({ type: 'rename', oldPath: del.path, path: add.path, isDirectory: false, size: add.size, lastModified: add.mtimeMs });
+    } else {
+      events.push({ type: 'delete', path: del.path, isDirectory: del.isDirectory });
+    }
+  }
+  for (const add of added) {
+    events.push({ type: 'add', path: add.path, isDirectory: add.isDirectory, size: add.size, lastModified: add.mtimeMs });
+  }
+  for (const ch of changed) {
+    events.push({ type: 'change', path: ch.path, isDirectory: false, size: ch.size, lastModified: ch.mtimeMs });
+  }
 
-    promptWindow.on('closed', () => {
-      resolve(null);
-    });
-  });
-});
+  if (events.length > 0 && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('folder-changed', events);
+  }
+}
 
-// Show confirm dialog
-ipcMain.handle('show-confirm', async (event, message) => {
-  const result = await dialog.showMessageBox(mainWindow, {
-    type: 'question',
-    buttons: ['Cancel', 'Delete'],
-    defaultId: 0,
-    cancelId: 0,
-    title: 'Confirm Delete',
-    message: message
-  });
-  return result.response === 1;
-});
+function queueWatchPath(fullPath) {
+  if (isHiddenWatchPath(fullPath)) return;
+  watchPending.add(fullPath);
+  // Some platforms only report the parent directory of a change; rescan its entries
+  const st = statForWatch(fullPath);
+  if (st && st.isDirectory) {
+    try {
+      for (const name of fs.readdirSync(fullPath)) {
+        if (!name.startsWith('.')) watchPending.add(path.join(fullPath, name));
+      }
+    } catch (_e) {}
+  }
+  const prefix = fullPath + path.sep;
+  if (!st && watchSnapshot.has(fullPath) && watchSnapshot.get(fullPath).isDirectory) {
+    for (const p of watchSnapshot.keys()) {
+      if (p.startsWith(prefix)) watchPending.add(p);
+    }
+  }
+  if (watchFlushTimer) clearTimeout(watchFlushTimer);
+  watchFlushTimer = setTimeout(flushWatchEvents, WATCH_DEBOUNCE_MS);
+}
 
-// Show alert
-ipcMain.handle('show-alert', async (event, message) => {
-  await dialog.showMessageBox(mainWindow, {
-    type: 'info',
-    buttons: ['OK'],
-    title: 'Alert',
-    message: message
+function stopFolderWatcher() {
+  if (folderWatcher) {
+    try { folderWatcher.close(); } catch (_e) {}
+  }
+  if (watchFlushTimer) clearTimeout(watchFlushTimer);
+  folderWatcher = null;
+  watchedRoot = null;
+  watchFlushTimer = null;
+  watchSnapshot = new Map();
+  watchPending = new Set();
+}
+
+function startFolderWatcher(rootPath) {
+  stopFolderWatcher();
+  watchedRoot = rootPath;
+  snapshotTree(rootPath, watchSnapshot);
+
+  const onEvent = (_eventType, filename) => {
+    if (!filename) {
+      queueWatchPath(rootPath);
+      return;
+    }
+    queueWatchPath(path.join(rootPath, filename.toString()));
+  };
+
+  try {
+    folderWatcher = fs.watch(rootPath, { recursive: true }, onEvent);
+  } catch (_e) {
+    // Recursive watching isn't available everywhere; fall back to the root folder only
+    folderWatcher = fs.watch(rootPath, onEvent);
+  }
+  folderWatcher.on('error', (err) => {
+    console.error('Folder watcher error:', err);
   });
-  return true;
-});
+}
 
-// Create a new folder
-ipcMain.handle('create-folder', async (event, folderPath) => {
+// Start watching a notes root (replaces any previous watcher)
+ipcMain.handle('watch-folder', async (event, rootPath) => {
   try {
-    if (fs.existsSync(folderPath)) {
-      return { success: false, error: 'Folder already exists' };
+    if (!rootPath || !fs.existsSync(rootPath)) {
+      return { success: false, error: 'Folder not found' };
     }
-    fs.mkdirSync(folderPath, { recursive: true });
+    startFolderWatcher(rootPath);
     return { success: true };
   } catch (e) {
+    stopFolderWatcher();
     return { success: false, error: e.message };
   }
 });
 
-// Show save dialog
-ipcMain.handle('show-save-dialog', async (event, options) => {
-  const result = await dialog.showSaveDialog(mainWindow, {
-    title: options.title || 'Save File',
-    defaultPath: options.defaultPath,
-    filters: options.filters || []
-  });
-  
-  if (result.canceled) {
-    return null;
-  }
-  
-  return result.filePath;
+// Stop watching
+ipcMain.handle('unwatch-folder', async () => {
+  stopFolderWatcher();
+  return { success: true };
 });
 
 
@@ -1105,6 +2891,52 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+// Markdown notes are rendered; plain text notes are escaped and keep their line breaks.
+// `options` go to the Markdown renderer (wikiLink, headingIds, files); note.embeds (see
+// resolve-embeds) fills in the note's ![[ ]] embeds and note.files the files its text references,
+// as file URLs unless options.files says where they went.
+function noteContentHtml(note, options = {}) {
+  if (!note.content) return '(empty)';
+  const opts = { ...options };
+  if (note.embeds) opts.embeds = note.embeds;
+  if (note.files && !opts.files) opts.files = localFileUrls(note.files);
+  return note.markdown ? markdown.renderMarkdown(note.content, opts) : markdown.renderPlainText(note.content, opts);
+}
+
+// note.files (paths by markdown.fileKey()) as file URLs, for pages rendered from a temp file
+function localFileUrls(files) {
+  const urls = {};
+  for (const [key, filePath] of Object.entries(files)) urls[key] = pathToFileURL(filePath).href;
+  return urls;
+}
+
+// Renders [[ ]] links of the export's note number `selfIndex` as links to the other exported
+// notes. note.links maps a lowercase link target to the linked note's index (see
+// linkExportedNotes() in the app); href(index, headingSlug) makes the URL. Links to notes not
+// in the export stay plain text.
+function exportWikiLink(note, selfIndex, href) {
+  return (target, label, heading) => {
+    const index = target ? (note.links || {})[target.toLowerCase()] : selfIndex;
+    if (index == null) return `<span class="wikilink">${escapeHtml(label)}</span>`;
+    const url = href(index, heading ? markdown.headingSlug(heading) : '');
+    return `<a class="wikilink" href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+  };
+}
+
+// Date line under an exported note's title, followed by its front-matter tags
+function noteMetaLine(note) {
+  const dateStr = note.lastModified ? new Date(note.lastModified).toLocaleString() : '';
+  const tags = Array.isArray(note.tags) ? note.tags.map(tag => '#' + tag).join(' ') : '';
+  return [dateStr, tags].filter(Boolean).join('  ·  ');
+}
+
+// The line naming a note's attachments an export can't show (note.attachments entries without a
+// dataUrl: audio and other files)
+function attachedFilesLine(note) {
+  const names = (note.attachments || []).filter(att => !att.dataUrl).map(att => att.name);
+  return names.length ? `Attached: ${names.join(', ')}` : '';
+}
+
 // Export to PDF using Electron's printToPDF
 // Export to PDF using Electron's printToPDF
 ipcMain.handle('export-pdf', async (event, savePath, notesData, isDark) => {
@@ -1131,13 +2963,16 @@ ipcMain.handle('export-pdf', async (event, savePath, notesData, isDark) => {
     
     // Convert all images to JPEG for smaller file size
     const optimizedNotesData = notesData.map(note => {
+      const optimized = { ...note };
       if (note.imageDataUrl && note.imageDataUrl.startsWith('data:image/')) {
-        const converted = convertToJpeg(note.imageDataUrl);
-        if (converted) {
-          return { ...note, imageDataUrl: converted };
-        }
+        optimized.imageDataUrl = convertToJpeg(note.imageDataUrl) || note.imageDataUrl;
+      }
+      if (note.attachments) {
+        optimized.attachments = note.attachments.map(att => att.dataUrl
+          ? { ...att, dataUrl: convertToJpeg(att.dataUrl) || att.dataUrl }
+          : att);
       }
-      return note;
+      return optimized;
     });
     
     // Create a hidden window for rendering
@@ -1163,22 +2998,29 @@ ipcMain.handle('export-pdf', async (event, savePath, notesData, isDark) => {
     
     for (let i = 0; i < optimizedNotesData.length; i++) {
       const note = optimizedNotesData[i];
-      const dateStr = note.lastModified ? new Date(note.lastModified).toLocaleString() : '';
+      const dateStr = noteMetaLine(note);
+      const filesLine = attachedFilesLine(note);
       
-      // Text page
+      // Text page; links to other notes and their headings jump within the PDF
+      const contentHtml = noteContentHtml(note, {
+        headingIds: `note${i}-`,
+        wikiLink: exportWikiLink(note, i, (index, slug) => slug ? `#note${index}-${slug}` : `#note${index}`)
+      });
       pagesHtml += `
-        <div class="page">
+        <div class="page" id="note${i}">
           <h1>${escapeHtml(note.title)}</h1>
           <div class="meta">${escapeHtml(dateStr)}</div>
-          <div class="content">${escapeHtml(note.content || '(empty)')}</div>
+          ${filesLine ? `<div class="meta">${escapeHtml(filesLine)}</div>` : ''}
+          <div class="content${note.markdown ? ' markdown' : ''}">${contentHtml}</div>
         </div>
       `;
       
-      // Image page if exists
-      if (note.imageDataUrl) {
+      // A page for the image (or canvas) and for each further image attachment
+      const images = [note.imageDataUrl].concat((note.attachments || []).map(att => att.dataUrl)).filter(Boolean);
+      for (const dataUrl of images) {
         pagesHtml += `
           <div class="page image-page">
-            <img src="${note.imageDataUrl}" />
+            <img src="${dataUrl}" />
           </div>
         `;
       }
@@ -1225,6 +3067,7 @@ ipcMain.handle('export-pdf', async (event, savePath, notesData, isDark) => {
       border-radius: 8px;
       border: 1px solid ${borderColor};
     }
+    ${markdown.stylesheet({ muted: mutedColor, border: borderColor, codeBg: isDark ? '#1a1a1a' : '#ebebeb' })}
     .image-page {
       display: flex;
       align-items: center;
@@ -1300,10 +3143,13 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
     const gridMinor = isDark ? 'rgba(255,255,255,0.03)' : 'rgba(0,0,0,0.03)';
     const gridMajor = isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.06)';
 
-    const dateStr = noteData.lastModified ? new Date(noteData.lastModified).toLocaleString() : '';
+    const dateStr = noteMetaLine(noteData);
 
-    const imageHtml = noteData.imageDataUrl
-      ? '<img src="' + noteData.imageDataUrl + '" />'
+    const filesLine = attachedFilesLine(noteData);
+    // The image (or canvas) and further image attachments share the right column
+    const images = [noteData.imageDataUrl].concat((noteData.attachments || []).map(att => att.dataUrl)).filter(Boolean);
+    const imageHtml = images.length
+      ? images.map(dataUrl => '<img src="' + dataUrl + '" />').join('')
       : '<div class="placeholder">(no image)</div>';
 
     const html = `<!DOCTYPE html>
@@ -1387,6 +3233,7 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
       background-position: 0 0, 0 0, 0 0, 0 0;
     }
     .textBox::-webkit-scrollbar { width: 0; height: 0; }
+    ${markdown.stylesheet({ muted: mutedColor, border: borderColor, codeBg: isDark ? '#252525' : '#f2f2f2' })}
     .imageBox {
       height: 100%;
       display: flex;
@@ -1395,6 +3242,11 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
       padding: 12px;
       background: ${contentBg};
     }
+    .imageBox.several {
+      flex-wrap: wrap;
+      align-content: center;
+      gap: 8px;
+    }
     .imageBox img {
       max-width: 100%;
       max-height: 100%;
@@ -1402,6 +3254,10 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
       border-radius: 10px;
       border: 1px solid ${borderColor};
     }
+    .imageBox.several img {
+      max-width: calc(50% - 4px);
+      max-height: calc(50% - 4px);
+    }
     .placeholder {
       font-size: 13px;
       color: ${mutedColor};
@@ -1416,20 +3272,21 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
     <div class="header">
       <h1>${escapeHtml(noteData.title)}</h1>
       <div class="meta">${escapeHtml(dateStr)}</div>
+      ${filesLine ? `<div class="meta">${escapeHtml(filesLine)}</div>` : ''}
     </div>
 
     <div class="split">
       <div class="col">
         <div class="colTitle">Text</div>
         <div class="box">
-          <div class="textBox">${escapeHtml(noteData.content || '(empty)')}</div>
+          <div class="textBox${noteData.markdown ? ' markdown' : ''}">${noteContentHtml(noteData)}</div>
         </div>
       </div>
 
       <div class="col">
         <div class="colTitle">Canvas / Image</div>
         <div class="box">
-          <div class="imageBox">${imageHtml}</div>
+          <div class="imageBox${images.length > 1 ? ' several' : ''}">${imageHtml}</div>
         </div>
       </div>
     </div>
@@ -1460,6 +3317,9 @@ ipcMain.handle('export-png', async (event, filePath, noteData, isDark) => {
   }
 });
 
+// Image types an EPUB may hold, by file extension
+const EPUB_IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+
 // Export to EPUB3 using built-in zlib (no external deps)
 ipcMain.handle('export-epub', async (event, savePath, bookTitle, notesData, isDark) => {
   try {
@@ -1533,6 +3393,7 @@ h1 { font-size: 1.5em; margin-bottom: 0.5em; }
   border-radius: 8px;
 }
 .note-image { max-width: 100%; margin: 1em 0; border-radius: 8px; }
+${markdown.stylesheet({ muted: mutedColor, border: isDark ? '#3a3a3a' : '#d9d9d9', codeBg: isDark ? '#1a1a1a' : '#ebebeb' })}
 .title-page {
   display: flex;
   flex-direction: column;
@@ -1578,9 +3439,10 @@ h1 { font-size: 1.5em; margin-bottom: 0.5em; }
       
       let imageTag = '';
       
-      // Handle image - convert to JPEG for smaller file size
-      if (note.imageDataUrl) {
-        let imageDataToUse = note.imageDataUrl;
+      // Handle images (the image or canvas, then further image attachments) - convert to JPEG for smaller file size
+      const images = [note.imageDataUrl].concat((note.attachments || []).map(att => att.dataUrl)).filter(Boolean);
+      images.forEach((imageDataUrl, k) => {
+        let imageDataToUse = imageDataUrl;
         
         // Convert to JPEG if it's an image
         if (imageDataToUse.startsWith('data:image/')) {
@@ -1592,18 +3454,41 @@ h1 { font-size: 1.5em; margin-bottom: 0.5em; }
         
         const match = imageDataToUse.match(/^data:image\/(\w+);base64,(.+)$/);
         if (match) {
-          const imgFileName = `img${i}.jpg`;
+          const imgId = k ? `img${i}-${k + 1}` : `img${i}`;
+          const imgFileName = `${imgId}.jpg`;
           const imgBuffer = Buffer.from(match[2], 'base64');
           addFile(`OEBPS/images/${imgFileName}`, imgBuffer);
           
-          manifestItems.push(`<item id="img${i}" href="images/${imgFileName}" media-type="image/jpeg"/>`);
-          imageTag = `<p><img class="note-image" src="images/${imgFileName}" alt="${escapeHtml(note.title)}"/></p>`;
+          manifestItems.push(`<item id="${imgId}" href="images/${imgFileName}" media-type="image/jpeg"/>`);
+          imageTag += `<p><img class="note-image" src="images/${imgFileName}" alt="${escapeHtml(note.title)}"/></p>`;
         }
-      }
+      });
       
-      // Note: Audio is not included in EPUB export as most e-readers don't support it
+      // Images the text references go into the book where they are referenced; other files are
+      // only named there
+      const noteFiles = {};
+      Object.entries(note.files || {}).forEach(([key, filePath], k) => {
+        const ext = path.extname(filePath).slice(1).toLowerCase();
+        noteFiles[key] = '';
+        if (!EPUB_IMAGE_TYPES[ext]) return;
+        try {
+          const fileId = `file${i}-${k + 1}`;
+          const fileName = `${fileId}.${ext}`;
+          addFile(`OEBPS/images/${fileName}`, fs.readFileSync(filePath));
+          manifestItems.push(`<item id="${fileId}" href="images/${fileName}" media-type="${EPUB_IMAGE_TYPES[ext]}"/>`);
+          noteFiles[key] = `images/${fileName}`;
+        } catch (_e) {}
+      });
       
-      const dateStr = note.lastModified ? new Date(note.lastModified).toLocaleString() : '';
+      // Note: Audio is not included in EPUB export as most e-readers don't support it; it is named under the title
+      
+      const dateStr = noteMetaLine(note);
+      const filesLine = attachedFilesLine(note);
+      const contentHtml = noteContentHtml(note, {
+        files: noteFiles,
+        headingIds: 'h-',
+        wikiLink: exportWikiLink(note, i, (index, slug) => `chapter${index}.xhtml${slug ? `#h-${slug}` : ''}`)
+      });
       
       const chapterContent = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
@@ -1615,7 +3500,8 @@ h1 { font-size: 1.5em; margin-bottom: 0.5em; }
 <body>
   <h1>${escapeHtml(note.title)}</h1>
   <p class="meta">${escapeHtml(dateStr)}</p>
-  <div class="content">${escapeHtml(note.content || '(empty)')}</div>
+  ${filesLine ? `<p class="meta">${escapeHtml(filesLine)}</p>` : ''}
+  <div class="content${note.markdown ? ' markdown' : ''}">${contentHtml}</div>
   ${imageTag}
 </body>
 </html>`;
@@ -1857,6 +3743,7 @@ ipcMain.handle('export-html', async (event, saveDir, bookTitle, notesData, asset
       title: n.title,
       name: n.name,
       content: n.content,
+      markdown: !!n.markdown,
       lastModified: n.lastModified,
       canvasJson: n.canvasJson || null,
       canvasImage: n.canvasImage ? `assets/${assetNameMap[n.canvasImage] || n.canvasImage}` : null,
@@ -2053,6 +3940,18 @@ function generateExportCss(isDark) {
         repeating-linear-gradient(90deg, ${isDark ? 'rgba(255,255,255,.06)' : 'rgba(0,0,0,.04)'} 0, ${isDark ? 'rgba(255,255,255,.06)' : 'rgba(0,0,0,.04)'} 1px, transparent 1px, transparent 120px);
       background-attachment: local;
     }
+    .mdView {
+      flex: 1 1 50%;
+      min-width: 200px;
+      max-width: 50%;
+      overflow: auto;
+      padding: 14px 16px;
+      font-size: 14px;
+      border-radius: 8px;
+      background: ${editorBg};
+    }
+    .mdView img { display: inline; }
+    ${markdown.stylesheet({ muted: mutedColor, border: borderColor, codeBg: isDark ? '#2a2a2a' : '#f2f2f2', link: isDark ? '#7ab7ff' : '#2563eb' })}
     .canvasWrap {
       flex: 1 1 50%;
       min-width: 200px;
@@ -2108,6 +4007,20 @@ function generateExportJs() {
     let currentIndex = null;
     let fabricCanvas = null;
     let dirty = false;
+    let editingMarkdown = false;
+
+    // Markdown notes open rendered; the toggle switches to the raw text for editing
+    function showNoteView(n) {
+      const editor = document.getElementById('editor');
+      const view = document.getElementById('mdView');
+      const toggle = document.getElementById('viewToggle');
+      const rendered = !!n.markdown && !editingMarkdown;
+      toggle.style.display = n.markdown ? '' : 'none';
+      toggle.textContent = rendered ? 'Edit' : 'View';
+      view.style.display = rendered ? '' : 'none';
+      editor.style.display = rendered ? 'none' : '';
+      if (rendered) view.innerHTML = NoatMarkdown.renderMarkdown(n.content || '');
+    }
     
     function fmtDate(ts) {
       if (!ts) return '';
@@ -2186,6 +4099,8 @@ function generateExportJs() {
       
       document.getElementById('currentTitle').textContent = n.name || n.title;
       document.getElementById('editor').value = n.content || '';
+      editingMarkdown = false;
+      showNoteView(n);
       document.getElementById('saveState').textContent = '';
       document.getElementById('editorWrap').style.display = 'flex';
       document.getElementById('empty').style.display = 'none';
@@ -2405,6 +4320,13 @@ function generateExportJs() {
       editor.addEventListener('blur', () => {
         if (dirty) saveNote();
       });
+
+      document.getElementById('viewToggle').addEventListener('click', () => {
+        if (currentIndex === null) return;
+        if (dirty) saveNote();
+        editingMarkdown = !editingMarkdown;
+        showNoteView(notes[currentIndex]);
+      });
       
       // Auto-save periodically
       setInterval(() => {
@@ -2449,9 +4371,11 @@ function generateExportHtml(title, notesJson, css, js, isDark, publishingName =
       <div class="editorHeader">
         <div id="currentTitle" class="currentTitle">Select a note</div>
         <div id="saveState" class="saveState"></div>
+        <button id="viewToggle" class="btn" style="display:none;">Edit</button>
       </div>
       <div id="empty" class="empty">Select a note from the list.</div>
       <div id="editorWrap" class="editorWrap" style="display:none;">
+        <div id="mdView" class="mdView markdown" style="display:none;"></div>
         <textarea id="editor" spellcheck="false"></textarea>
         <div id="canvasWrap" class="canvasWrap" style="display:none;">
           <div class="canvasToolbar">
@@ -2469,6 +4393,7 @@ function generateExportHtml(title, notesJson, css, js, isDark, publishingName =
     </div>
   </div>
   
+  <script>${markdown.standaloneScript()}</script>
   <script>
     window.NOTES_DATA = ${JSON.stringify(notesJson)};
     ${js}
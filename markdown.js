@@ -0,0 +1,564 @@
+// Small Markdown renderer shared by the app window, the main-process exports and the
+// exported/published pages (which get a copy through standaloneScript()).
+// Covers what notes actually use: headings, paragraphs, lists (nested, ordered, task),
+// block quotes, fenced code, rules, emphasis, code spans, links, images, [[wiki links]],
+// ![[embeds]] of other notes and ![[file.png]] / ![](file.png) references to files next to a note.
+// All text is HTML-escaped and the output is also valid XHTML, so EPUB can use it as is.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NoatMarkdown = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function factory() {
+  const MARKDOWN_EXT_RE = /\.md$/i;
+
+  const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+  const HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+  const RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const QUOTE_RE = /^ {0,3}> ?/;
+  const LIST_ITEM_RE = /^( *)([-*+]|\d{1,9}[.)])(?:[ \t]+(.*))?$/;
+  const SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+  const EMBED_RE = /^ {0,3}!\[\[([^\[\]\n]+?)\]\][ \t]*$/;
+  const MAX_EMBED_DEPTH = 8;
+  const MAX_EMBEDS = 200; // notes shown inside one rendered note, counting embeds within embeds
+  const FILE_NAME_RE = /\.(?!(?:md|txt)$)[a-z0-9]{1,10}$/i; // a name with an extension other than a note's
+  const IMAGE_NAME_RE = /\.(png|jpe?g|gif|webp|svg|bmp)$/i;
+
+  function isMarkdownName(name) {
+    return MARKDOWN_EXT_RE.test(String(name || ''));
+  }
+
+  function escapeHtml(str) {
+    return String(str ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Links may not run script: only web, mail and file URLs, inline images, anchors and relative
+  // paths get through, and anything else becomes "#". Browsers drop control characters and
+  // spaces around a URL and tabs and newlines inside it, so the scheme is read the same way.
+  const SAFE_SCHEME_RE = /^(https?|mailto|file):/i;
+  function safeUrl(url) {
+    const u = String(url || '').replace(/^[\u0000-\u0020\s]+|[\u0000-\u0020\s]+$/g, '').replace(/[\t\n\r]/g, '');
+    const scheme = u.match(/^([^/?#]*?):/);
+    if (!scheme || /^[a-z]$/i.test(scheme[1])) return u; // relative, or a Windows drive path
+    if (SAFE_SCHEME_RE.test(u) || /^data:image\//i.test(u)) return u;
+    return '#';
+  }
+
+  // Anchor id for a heading: "Goals & Risks!" -> "goals-risks"; links to "#Heading" use the same
+  function headingSlug(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section';
+  }
+
+  // "folder/Title#Heading|shown" -> { target: "folder/Title", heading: "Heading", label: "shown" },
+  // where a link without "|" shows what it points at
+  function splitWikiLink(inner) {
+    const bar = inner.indexOf('|');
+    const link = (bar >= 0 ? inner.slice(0, bar) : inner).trim();
+    const hash = link.indexOf('#');
+    const target = (hash >= 0 ? link.slice(0, hash) : link).trim();
+    const heading = hash >= 0 ? link.slice(hash + 1).trim() : '';
+    const label = (bar >= 0 ? inner.slice(bar + 1).trim() : '') || link;
+    return { target, heading, label };
+  }
+
+  function renderWikiLink(inner, opts) {
+    const { target, heading, label } = splitWikiLink(inner);
+    if (opts.wikiLink) return opts.wikiLink(target, label, heading);
+    return `<span class="wikilink">${escapeHtml(label)}</span>`;
+  }
+
+  function isBlank(line) {
+    return /^\s*$/.test(line);
+  }
+
+  function startsBlock(line) {
+    return FENCE_RE.test(line) || HEADING_RE.test(line) || RULE_RE.test(line)
+      || QUOTE_RE.test(line) || LIST_ITEM_RE.test(line) || EMBED_RE.test(line);
+  }
+
+  function indentOf(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  function stripIndent(line, n) {
+    let i = 0;
+    while (i < n && line[i] === ' ') i++;
+    return line.slice(i);
+  }
+
+  // --- Inline ---
+
+  function renderInline(text, options) {
+    const opts = options || {};
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let s = String(text || '').replace(/\u0000/g, '');
+
+    s = s.replace(/\\([\\`*_{}\[\]()#+\-.!~>|])/g, (_m, ch) => keep(escapeHtml(ch)));
+    s = s.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_m, _ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`));
+    s = s.replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (_m, alt, src, title) => {
+      if (fileUrl(src, opts) !== undefined) return keep(fileHtml(src, alt, opts, false));
+      const url = opts.resolveImage ? opts.resolveImage(src) : src;
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return keep(`<img src="${escapeHtml(safeUrl(url))}" alt="${escapeHtml(alt)}"${titleAttr} />`);
+    });
+    s = s.replace(/!\[\[([^\[\]\n]+?)\]\]/g, (m, inner) => isFileEmbed(inner, opts) ? keep(fileEmbedHtml(inner, opts, false)) : m);
+    s = s.replace(/\[\[([^\]\n]+?)\]\]/g, (_m, inner) => keep(renderWikiLink(inner, opts)));
+    s = s.replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (_m, label, href, title) => {
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return keep(`<a href="${escapeHtml(safeUrl(href))}"${titleAttr}>${renderInline(label, opts)}</a>`);
+    });
+    s = s.replace(/<((?:https?|mailto):[^>\s]+)>/g, (_m, href) => keep(`<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>`));
+    s = s.replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/g, (href) => keep(`<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>`));
+
+    s = escapeHtml(s);
+    s = s.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>');
+    s = s.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>');
+    s = s.replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>');
+    s = s.replace(/\*(?=[^\s*])([^*])\*/g, '<em>$1</em>');
+    s = s.replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_]|[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+    s = s.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    // Two trailing spaces or a backslash end a line with a hard break
+    s = s.replace(/(?: {2,}|\\)\n/g, '<br />\n');
+
+    return s.replace(/\u0000(\d+)\u0000/g, (_m, i) => stash[Number(i)]);
+  }
+
+  // --- Blocks ---
+
+  // `top` is set for the note's own blocks (not those nested in lists or quotes);
+  // with opts.sourceLines they get a data-line attribute holding their first source line
+  function renderBlocks(lines, opts, top) {
+    const out = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      if (isBlank(lines[i])) {
+        i++;
+        continue;
+      }
+      const start = i;
+      const count = out.length;
+      i = renderBlock(lines, i, opts, out);
+      if (top && opts.sourceLines && out.length > count) {
+        out[count] = out[count].replace(/^<(\w+)/, `<$1 data-line="${start}"`);
+      }
+    }
+
+    return out.join('\n');
+  }
+
+  // Render the block starting at lines[i] (not blank); returns the index after it
+  function renderBlock(lines, i, opts, out) {
+    const line = lines[i];
+
+    let m = line.match(FENCE_RE);
+    if (m) {
+      const closing = new RegExp(`^ {0,3}\\${m[1][0]}{${m[1].length},}[ \t]*$`);
+      const lang = m[2];
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+      out.push(`<pre><code${cls}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      return i + 1; // past the closing fence (or the end of the text)
+    }
+
+    m = line.match(HEADING_RE);
+    if (m) {
+      const level = m[1].length;
+      let id = '';
+      if (opts.headingSlugs) {
+        // Repeated headings get "-2", "-3"... so each id is unique; links go to the first
+        const slug = headingSlug(m[2]);
+        const seen = opts.headingSlugs.get(slug) || 0;
+        opts.headingSlugs.set(slug, seen + 1);
+        id = ` id="${escapeHtml(opts.headingIds + slug + (seen ? `-${seen + 1}` : ''))}"`;
+      }
+      out.push(`<h${level}${id}>${renderInline(m[2] || '', opts)}</h${level}>`);
+      return i + 1;
+    }
+
+    if (RULE_RE.test(line)) {
+      out.push('<hr />');
+      return i + 1;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const inner = [];
+      while (i < lines.length && !isBlank(lines[i]) && (QUOTE_RE.test(lines[i]) || !startsBlock(lines[i]))) {
+        inner.push(lines[i].replace(QUOTE_RE, ''));
+        i++;
+      }
+      out.push(`<blockquote>\n${renderBlocks(inner, opts)}\n</blockquote>`);
+      return i;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      return renderList(lines, i, opts, out);
+    }
+
+    m = line.match(EMBED_RE);
+    if (m && isFileEmbed(m[1], opts)) {
+      out.push(fileEmbedHtml(m[1], opts, true));
+      return i + 1;
+    }
+    if (m && opts.embeds) {
+      out.push(embedHtml(m[1], opts));
+      return i + 1;
+    }
+
+    // Paragraph (or a setext heading when underlined with === / ---)
+    const para = [line.trim()];
+    i++;
+    let setext = 0;
+    while (i < lines.length && !isBlank(lines[i])) {
+      const sm = lines[i].match(SETEXT_RE);
+      if (sm) {
+        setext = sm[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsBlock(lines[i])) break;
+      para.push(lines[i].replace(/^\s+/, ''));
+      i++;
+    }
+    const body = renderInline(para.join('\n'), opts);
+    out.push(setext ? `<h${setext}>${body}</h${setext}>` : `<p>${body}</p>`);
+    return i;
+  }
+
+  // Render the list starting at lines[start]; returns the index after it
+  function renderList(lines, start, opts, out) {
+    const first = lines[start].match(LIST_ITEM_RE);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const m = lines[i].match(LIST_ITEM_RE);
+      if (!m || m[1].length !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+      const contentIndent = baseIndent + m[2].length + 1;
+      const body = [m[3] || ''];
+      i++;
+      while (i < lines.length) {
+        if (isBlank(lines[i])) {
+          // A blank line continues the item only if more indented content follows
+          let j = i;
+          while (j < lines.length && isBlank(lines[j])) j++;
+          if (j < lines.length && indentOf(lines[j]) > baseIndent) {
+            loose = true;
+            for (; i < j; i++) body.push('');
+            continue;
+          }
+          const next = j < lines.length ? lines[j].match(LIST_ITEM_RE) : null;
+          if (next && next[1].length === baseIndent && /\d/.test(next[2]) === ordered) loose = true;
+          break;
+        }
+        const im = lines[i].match(LIST_ITEM_RE);
+        if (im && im[1].length <= baseIndent) break;
+        if (indentOf(lines[i]) <= baseIndent && startsBlock(lines[i])) break;
+        body.push(stripIndent(lines[i], contentIndent));
+        i++;
+      }
+      items.push({ marker: m[2], body });
+
+      // Skip blank lines between items of the same list
+      let j = i;
+      while (j < lines.length && isBlank(lines[j])) j++;
+      const next = j < lines.length ? lines[j].match(LIST_ITEM_RE) : null;
+      if (j > i && next && next[1].length === baseIndent && /\d/.test(next[2]) === ordered) i = j;
+    }
+
+    const startNum = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && startNum !== 1 ? ` start="${startNum}"` : '';
+    const html = items.map(item => {
+      let body = item.body;
+      let check = '';
+      const task = body[0].match(/^\[([ xX])\][ \t]+/);
+      if (task) {
+        check = `<input type="checkbox" disabled="disabled"${task[1] === ' ' ? '' : ' checked="checked"'} /> `;
+        body = [body[0].slice(task[0].length), ...body.slice(1)];
+      }
+      let inner = renderBlocks(body, opts);
+      // Tight lists don't wrap their items in paragraphs
+      if (!loose) inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+      return `<li${task ? ' class="task"' : ''}>${check}${inner}</li>`;
+    }).join('\n');
+
+    out.push(`<${tag}${startAttr}>\n${html}\n</${tag}>`);
+    return i;
+  }
+
+  // --- Files ---
+
+  // The key a file reference goes by in the files option: the path with "/" separators, without
+  // "." parts or the folders ".." steps out of, URL-decoded and lowercase. `folder` is where the
+  // referencing note is, relative to the note being rendered ('' for that note itself).
+  function fileKey(ref, folder = '') {
+    let path = String(ref || '');
+    try { path = decodeURI(path); } catch (_e) {}
+    const parts = [];
+    for (const part of `${folder}/${path}`.split(/[\\/]+/)) {
+      if (!part || part === '.') continue;
+      if (part === '..' && parts.length && parts[parts.length - 1] !== '..') parts.pop();
+      else parts.push(part);
+    }
+    return parts.join('/').toLowerCase();
+  }
+
+  // Where the note whose text is being rendered is, for fileKey()
+  function refFolder(opts) {
+    return opts.embedFrom && opts.embedFrom.note.folder || '';
+  }
+
+  // The URL the files option gives a reference; undefined when it has none (or there is no option)
+  function fileUrl(ref, opts) {
+    if (!opts.files) return undefined;
+    const key = fileKey(ref, refFolder(opts));
+    return Object.prototype.hasOwnProperty.call(opts.files, key) ? opts.files[key] : undefined;
+  }
+
+  // Whether ![[inner]] shows a file rather than a note: one the files option has, or a name with a
+  // file extension that no note answers to (shown as missing)
+  function isFileEmbed(inner, opts) {
+    if (!opts.files) return false;
+    const { target } = splitWikiLink(inner);
+    if (fileUrl(target, opts) !== undefined) return true;
+    const links = opts.embedFrom ? opts.embedFrom.note.links : {};
+    return FILE_NAME_RE.test(target) && links[target.toLowerCase()] == null;
+  }
+
+  function fileEmbedHtml(inner, opts, block) {
+    const { target, label } = splitWikiLink(inner);
+    return fileHtml(target, label === target ? '' : label, opts, block);
+  }
+
+  // A referenced file: an image in place, any other file as a link to it (just its name when its
+  // URL is ''), or a placeholder when it can't be found. `block` is set for a reference on a line
+  // of its own. A file link always shows the real file name, with `alt` after it, so "|label"
+  // can't pass one file off as another.
+  function fileHtml(ref, alt, opts, block) {
+    const url = fileUrl(ref, opts);
+    let shown = String(ref);
+    try { shown = decodeURI(shown); } catch (_e) {}
+    const name = shown.split(/[\\/]/).pop() || shown;
+    if (url === undefined) {
+      const message = `Can't show "${shown}": no such file`;
+      return block ? embedPlaceholder(message) : `<span class="embed-missing">${escapeHtml(message)}</span>`;
+    }
+    const label = alt && alt !== name ? ` <span class="embed-file-label">${escapeHtml(alt)}</span>` : '';
+    let html;
+    if (url && IMAGE_NAME_RE.test(ref)) {
+      html = `<img class="embed-image" src="${escapeHtml(safeUrl(url))}" alt="${escapeHtml(alt || name)}" />`;
+    } else if (url) {
+      html = `<a class="embed-file" href="${escapeHtml(safeUrl(url))}" data-file="${escapeHtml(fileKey(ref, refFolder(opts)))}">📎 ${escapeHtml(name)}</a>${label}`;
+    } else {
+      html = `<span class="embed-file">📎 ${escapeHtml(name)}</span>${label}`;
+    }
+    return block ? `<p>${html}</p>` : html;
+  }
+
+  // --- Embeds ---
+
+  function splitLines(text) {
+    return String(text || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  }
+
+  // The lines from the heading `heading` (matched by headingSlug) up to the next heading of the
+  // same or a higher level, or null when there is no such heading
+  function headingSection(lines, heading) {
+    const want = headingSlug(heading);
+    let start = -1;
+    let level = 0;
+    let closing = null;
+    for (let i = 0; i < lines.length; i++) {
+      if (closing) {
+        if (closing.test(lines[i])) closing = null;
+        continue;
+      }
+      const fence = lines[i].match(FENCE_RE);
+      if (fence) {
+        closing = new RegExp(`^ {0,3}\\${fence[1][0]}{${fence[1].length},}[ \t]*$`);
+        continue;
+      }
+      const m = lines[i].match(HEADING_RE);
+      if (!m) continue;
+      if (start < 0) {
+        if (headingSlug(m[2]) === want) {
+          start = i;
+          level = m[1].length;
+        }
+      } else if (m[1].length <= level) {
+        return lines.slice(start, i);
+      }
+    }
+    return start < 0 ? null : lines.slice(start);
+  }
+
+  // The options with the note being rendered set up as the first embedding note; `text` is its
+  // text, so ![[#Heading]] can show one of its own sections. embedBudget counts down the embeds
+  // the note may still show.
+  function withEmbedRoot(opts, text, markdown) {
+    if (!opts.embeds || opts.embedFrom) return opts;
+    const self = opts.embeds.self;
+    const from = { key: self != null ? String(self) : 'self', note: { text, markdown, links: opts.embeds.links || {} } };
+    const embedBudget = opts.embedBudget || {};
+    if (embedBudget.left == null) embedBudget.left = MAX_EMBEDS;
+    return Object.assign({}, opts, { embedFrom: from, embedRoot: from, embedStack: [`${from.key}#`], embedBudget });
+  }
+
+  function embedPlaceholder(message) {
+    return `<div class="embed embed-missing">${escapeHtml(message)}</div>`;
+  }
+
+  // One ![[Title]] or ![[Title#Heading]]: the other note (or that section of it) in a box, itself
+  // rendered with its embeds. A note or heading that can't be found, an embed that would end up
+  // inside itself and one past the MAX_EMBEDS a note may show, show a placeholder instead.
+  function embedHtml(inner, opts) {
+    const { target, heading } = splitWikiLink(inner);
+    const link = heading ? `${target}#${heading}` : target;
+    const embeds = opts.embeds;
+    let from = opts.embedFrom;
+    if (target) {
+      const index = from.note.links[target.toLowerCase()];
+      const note = index == null ? null : index === embeds.self ? opts.embedRoot.note : (embeds.notes || [])[index];
+      if (!note) return embedPlaceholder(`Can't embed "${link}": no such note`);
+      from = { key: String(index), note };
+    }
+
+    const key = `${from.key}#${heading ? headingSlug(heading) : ''}`;
+    if (opts.embedStack.includes(key)) return embedPlaceholder(`"${link}" is left out here: it would end up inside itself`);
+    if (opts.embedStack.length > MAX_EMBED_DEPTH) return embedPlaceholder(`"${link}" is not shown: embeds are nested too deeply`);
+    if (opts.embedBudget.left <= 0) return embedPlaceholder(`"${link}" is not shown: this note has too many embeds`);
+    opts.embedBudget.left--;
+
+    let lines = splitLines(from.note.text);
+    if (heading) {
+      lines = headingSection(lines, heading);
+      if (!lines) return embedPlaceholder(`Can't embed "${link}": no such heading`);
+    }
+    const nested = Object.assign({}, opts, { embedFrom: from, embedStack: opts.embedStack.concat(key), sourceLines: false });
+    const title = `<div class="embed-title">${renderWikiLink(link, opts)}</div>`;
+    const body = from.note.markdown
+      ? `<div class="embed-body markdown">${renderBlocks(lines, nested)}</div>`
+      : `<div class="embed-body embed-plain">${renderPlainText(lines.join('\n'), nested)}</div>`;
+    // No line breaks between the tags: plain-text notes keep white space
+    return `<div class="embed">${title}${body}</div>`;
+  }
+
+  // An ![[ ]] embed's inner text, written on a line of its own in the plain-text note `text`, as
+  // HTML (for views that render plain-text notes line by line). Options as for renderMarkdown(),
+  // plus embedBudget: the same object ({}) for every line of a note, so they share one limit on
+  // how many embeds it shows.
+  function renderEmbed(inner, text, options) {
+    const opts = withEmbedRoot(Object.assign({}, options), String(text || ''), false);
+    if (isFileEmbed(inner, opts)) return fileEmbedHtml(inner, opts, true);
+    return opts.embeds ? embedHtml(inner, opts) : escapeHtml(`![[${inner}]]`);
+  }
+
+  // Options: wikiLink(target, label, heading) -> html, resolveImage(src) -> url,
+  // files: { fileKey(path): url } for the files next to the note that ![[name]] and ![](name) show
+  // (url '' for one that can only be named), with a placeholder for names it lacks,
+  // sourceLines: tag top-level blocks with data-line (used to sync scrolling with the source),
+  // headingIds: give headings an id of this prefix plus headingSlug() of their text,
+  // embeds: the notes ![[ ]] lines on their own show, { self, links, notes } where links maps a
+  // lowercase link target to an index into notes (or null), notes are [{ title, text, markdown,
+  // links, folder }] with links as above for each note's own embeds and folder where the note is
+  // relative to the one being rendered (the files it references go by fileKey(ref, folder)), and
+  // self is the index of the note being rendered when it's embedded by one of them
+  function renderMarkdown(text, options) {
+    const lines = splitLines(text);
+    let opts = Object.assign({}, options);
+    if (typeof opts.headingIds === 'string') opts.headingSlugs = new Map();
+    opts = withEmbedRoot(opts, lines.join('\n'), true);
+    return renderBlocks(lines, opts, true);
+  }
+
+  // A plain-text note as escaped text (line breaks kept by the container's CSS), with its
+  // [[wiki links]] rendered through the wikiLink option, ![[embeds]] through the embeds option and
+  // ![[file.png]] through the files option
+  function renderPlainText(text, options) {
+    const src = String(text || '');
+    const opts = withEmbedRoot(options || {}, src, false);
+    if (!opts.wikiLink && !opts.embeds && !opts.files) return escapeHtml(src);
+    let out = '';
+    let last = 0;
+    for (const m of src.matchAll(/!?\[\[([^\]\n]+?)\]\]/g)) {
+      const lineStart = src.lastIndexOf('\n', m.index - 1) + 1;
+      const lineEnd = src.indexOf('\n', m.index) < 0 ? src.length : src.indexOf('\n', m.index);
+      const fileEmbed = m[0][0] === '!' && isFileEmbed(m[1], opts);
+      if ((fileEmbed || opts.embeds) && EMBED_RE.test(src.slice(lineStart, lineEnd))) {
+        // The box is a block of its own, so the line break after it goes too
+        out += escapeHtml(src.slice(last, lineStart)) + (fileEmbed ? fileEmbedHtml(m[1], opts, true) : embedHtml(m[1], opts));
+        last = Math.min(lineEnd + 1, src.length);
+        continue;
+      }
+      if (fileEmbed) {
+        out += escapeHtml(src.slice(last, m.index)) + fileEmbedHtml(m[1], opts, false);
+        last = m.index + m[0].length;
+        continue;
+      }
+      if (!opts.wikiLink) continue;
+      const start = m[0][0] === '!' ? m.index + 1 : m.index;
+      out += escapeHtml(src.slice(last, start)) + renderWikiLink(m[1], opts);
+      last = m.index + m[0].length;
+    }
+    return out + escapeHtml(src.slice(last));
+  }
+
+  // Styles for rendered notes, all scoped to a .markdown container except the .embed boxes,
+  // which plain-text notes show too
+  function stylesheet(colors) {
+    const c = Object.assign({ muted: '#666', border: '#d9d9d9', codeBg: 'rgba(0,0,0,.05)', link: '#2563eb' }, colors);
+    return `
+    .markdown { white-space: normal; font-family: system-ui, -apple-system, sans-serif; line-height: 1.6; overflow-wrap: break-word; }
+    .markdown > :first-child { margin-top: 0; }
+    .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 { margin: 1.1em 0 0.45em; line-height: 1.25; }
+    .markdown h1 { font-size: 1.6em; }
+    .markdown h2 { font-size: 1.35em; }
+    .markdown h3 { font-size: 1.15em; }
+    .markdown h4, .markdown h5, .markdown h6 { font-size: 1em; }
+    .markdown p, .markdown ul, .markdown ol, .markdown blockquote, .markdown pre { margin: 0 0 0.8em; }
+    .markdown ul, .markdown ol { padding-left: 1.6em; }
+    .markdown li > ul, .markdown li > ol { margin-bottom: 0; }
+    .markdown li.task { list-style: none; margin-left: -1.3em; }
+    .markdown blockquote { padding-left: 0.9em; border-left: 3px solid ${c.border}; color: ${c.muted}; }
+    .markdown code { font-family: ui-monospace, monospace; font-size: 0.92em; background: ${c.codeBg}; padding: 0.1em 0.3em; border-radius: 4px; }
+    .markdown pre { background: ${c.codeBg}; padding: 10px 12px; border-radius: 8px; overflow-x: auto; white-space: pre; }
+    .markdown pre code { background: none; padding: 0; }
+    .markdown hr { border: none; border-top: 1px solid ${c.border}; margin: 1.2em 0; }
+    .markdown a, .markdown .wikilink { color: ${c.link}; }
+    .markdown img { max-width: 100%; }
+    .embed { margin: 0 0 0.8em; padding: 8px 12px; border-left: 3px solid ${c.link}; border-radius: 4px; background: ${c.codeBg}; }
+    .embed-title { font-size: 0.85em; margin-bottom: 4px; font-family: system-ui, -apple-system, sans-serif; }
+    .embed-body > :last-child { margin-bottom: 0; }
+    .embed-plain { white-space: pre-wrap; }
+    .embed-missing { color: ${c.muted}; font-style: italic; }
+    .embed-image { max-width: 100%; }
+    .embed-file { color: ${c.link}; }
+    .embed-file-label { color: ${c.muted}; }
+    `;
+  }
+
+  // Source for pages that can't load this file (HTML export, published notes)
+  function standaloneScript() {
+    return `var NoatMarkdown = (${factory.toString()})();`;
+  }
+
+  return { renderMarkdown, renderPlainText, renderEmbed, renderInline, isMarkdownName, escapeHtml, headingSlug, fileKey, stylesheet, standaloneScript };
+});
@@ -0,0 +1,548 @@
+// Note metadata from an optional YAML front-matter block at the top of a note:
+//
+//   ---
+//   title: A nicer title
+//   date: 2026-03-01
+//   tags: [research, draft]
+//   publish: false
+//   ---
+//
+// Only the YAML that front matter needs is understood: "key: value" pairs, quoted and
+// plain scalars, booleans, numbers, [flow, lists], "- item" block lists and one level of
+// nested keys. Shared by the main process (folder index) and the app window.
+//
+// Tags come from the front matter (tags: [a, b]) and from #tag words in the body; they are
+// compared lowercase, and "#project/alpha" is a tag nested under "project".
+//
+// Links are [[Title]], optionally [[Title#Heading]], [[Title|shown text]] or ![[Title]]; the
+// title is compared case-insensitively. [[folder/sub/Title]] names the folder too (relative to
+// the notes root, or any trailing part of the folder path); a bare title is looked up in the
+// linking note's folder first, then anywhere under the root if only one note has it.
+//
+// Attachments pair with a note by file name: "Title.png" for the first, then "Title.2.mp3",
+// "Title.3.pdf"... numbered in the order the note lists them. Older versions wrote one image and
+// one audio file as "Title.png" / "Title.nvimg.png" and "Title.mp3" / "Title.audio.mp3", which
+// still count as number 1.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.NoteParse = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const OPEN_RE = /^\uFEFF?---[ \t]*$/;
+  const CLOSE_RE = /^(---|\.\.\.)[ \t]*$/;
+  const KEY_RE = /^([A-Za-z_][\w -]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+
+  function stripComment(value) {
+    // A # starts a comment only after whitespace and outside quotes
+    let quote = null;
+    for (let i = 0; i < value.length; i++) {
+      const ch = value[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+        return value.slice(0, i).trim();
+      }
+    }
+    return value.trim();
+  }
+
+  function splitFlowList(inner) {
+    const items = [];
+    let quote = null;
+    let current = '';
+    for (const ch of inner) {
+      if (quote) {
+        if (ch === quote) quote = null;
+        current += ch;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        current += ch;
+      } else if (ch === ',') {
+        items.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim() || items.length) items.push(current);
+    return items.map(item => item.trim()).filter(item => item !== '');
+  }
+
+  function parseScalar(raw, lineNo) {
+    const value = stripComment(raw);
+    if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+    if (value.startsWith('"')) {
+      if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) throw new Error(`Line ${lineNo}: unterminated "quoted" value`);
+      return JSON.parse(value.replace(/\\'/g, "'"));
+    }
+    if (value.startsWith("'")) {
+      if (!/^'(?:[^']|'')*'$/.test(value)) throw new Error(`Line ${lineNo}: unterminated 'quoted' value`);
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (value.startsWith('[')) {
+      if (!value.endsWith(']')) throw new Error(`Line ${lineNo}: list is missing its closing ]`);
+      return splitFlowList(value.slice(1, -1)).map(item => parseScalar(item, lineNo));
+    }
+    if (/^(true|yes|on)$/i.test(value)) return true;
+    if (/^(false|no|off)$/i.test(value)) return false;
+    if (/^[-+]?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+
+  // Parse the YAML between the --- lines; `firstLine` is the file line number of yamlLines[0]
+  function parseYaml(yamlLines, firstLine) {
+    const data = {};
+    let key = null;       // last top-level key whose value continues on the next lines
+    let container = null; // its list or map once we know which
+
+    yamlLines.forEach((line, idx) => {
+      const lineNo = firstLine + idx;
+      if (/^\s*(#.*)?$/.test(line)) return;
+      if (/^\t/.test(line)) throw new Error(`Line ${lineNo}: use spaces, not tabs, to indent`);
+
+      const indented = /^\s/.test(line);
+      const text = line.trim();
+
+      if (!indented) {
+        const m = text.match(KEY_RE);
+        if (!m) throw new Error(`Line ${lineNo}: expected "key: value"`);
+        const name = m[1].trim();
+        if (m[2] === undefined || stripComment(m[2]) === '') {
+          key = name;
+          container = null;
+          data[name] = null;
+        } else {
+          key = null;
+          data[name] = parseScalar(m[2], lineNo);
+        }
+        return;
+      }
+
+      if (!key) throw new Error(`Line ${lineNo}: unexpected indentation`);
+      if (text.startsWith('- ') || text === '-') {
+        if (container && !Array.isArray(container)) throw new Error(`Line ${lineNo}: cannot mix "- item" and "key: value" under ${key}`);
+        if (!container) container = data[key] = [];
+        container.push(parseScalar(text.slice(1), lineNo));
+        return;
+      }
+      const m = text.match(KEY_RE);
+      if (!m) throw new Error(`Line ${lineNo}: expected "- item" or "key: value" under ${key}`);
+      if (Array.isArray(container)) throw new Error(`Line ${lineNo}: cannot mix "- item" and "key: value" under ${key}`);
+      if (!container) container = data[key] = {};
+      container[m[1].trim()] = parseScalar(m[2] || '', lineNo);
+    });
+
+    return data;
+  }
+
+  // Split a note into its front matter and body.
+  // Returns { data, body, lineCount, error }: lineCount is how many lines (delimiters included)
+  // the block takes, 0 when there is none; a malformed block still counts as front matter,
+  // with data left empty and error describing the problem.
+  function parseFrontMatter(text) {
+    const str = String(text || '');
+    const none = { data: {}, body: str.replace(/^\uFEFF/, ''), lineCount: 0, error: null };
+    if (!/^\uFEFF?---[ \t]*\r?\n/.test(str)) return none;
+
+    const lines = str.split(/\r?\n/);
+    if (!OPEN_RE.test(lines[0])) return none;
+    let end = -1;
+    for (let i = 1; i < lines.length; i++) {
+      if (CLOSE_RE.test(lines[i])) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) return none;
+
+    const body = lines.slice(end + 1).join('\n');
+    try {
+      return { data: parseYaml(lines.slice(1, end), 2), body, lineCount: end + 1, error: null };
+    } catch (e) {
+      return { data: {}, body, lineCount: end + 1, error: e.message };
+    }
+  }
+
+  function toTimestamp(value) {
+    if (value == null || value === '') return null;
+    const t = typeof value === 'number' ? value : Date.parse(String(value));
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function toList(value) {
+    if (value == null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return list.map(item => String(item ?? '').trim().replace(/^#/, '')).filter(Boolean);
+  }
+
+  // The fields the app understands, with defaults; anything else stays in `data`
+  function noteMeta(data, error) {
+    const d = data || {};
+    const draft = d.draft === true;
+    return {
+      title: d.title != null && String(d.title).trim() ? String(d.title).trim() : null,
+      date: toTimestamp(d.date),
+      created: toTimestamp(d.created),
+      tags: toList(d.tags != null ? d.tags : d.tag),
+      draft,
+      publish: d.publish !== false && !draft,
+      data: d,
+      error: error || null
+    };
+  }
+
+  function metaFromText(text) {
+    const fm = parseFrontMatter(text);
+    return noteMeta(fm.data, fm.error);
+  }
+
+  // A #tag starts at a line start or after whitespace/opening punctuation, so "# Heading",
+  // "C#" and "page.html#anchor" are not tags; it must contain a letter ("#1" is not one)
+  const TAG_RE = /(^|[\s(\[{,;])#([\p{L}\p{N}_][\p{L}\p{N}_\/-]*)/gu;
+  const FENCE_RE = /^\s*(```|~~~)/;
+
+  function normalizeTag(tag) {
+    return String(tag || '').trim().replace(/^#/, '').replace(/[\/-]+$/, '').toLowerCase();
+  }
+
+  function isTagName(tag) {
+    return /^[\p{L}\p{N}_][\p{L}\p{N}_\/-]*$/u.test(tag) && /\p{L}|_/u.test(tag);
+  }
+
+  // Calls fn(line, index) for every body line outside fenced code blocks, with inline code blanked
+  function forEachProseLine(lines, fn) {
+    let fence = null;
+    lines.forEach((line, i) => {
+      const m = line.match(FENCE_RE);
+      if (m) {
+        if (!fence) fence = m[1];
+        else if (m[1] === fence) fence = null;
+        return;
+      }
+      if (!fence) fn(line.replace(/`[^`]*`/g, m2 => ' '.repeat(m2.length)), i);
+    });
+  }
+
+  function bodyTags(body) {
+    const tags = [];
+    forEachProseLine(String(body || '').split(/\r?\n/), line => {
+      for (const m of line.matchAll(TAG_RE)) {
+        const tag = normalizeTag(m[2]);
+        if (isTagName(tag)) tags.push(tag);
+      }
+    });
+    return tags;
+  }
+
+  // Every tag of a note (front matter and body), lowercase and without duplicates
+  function noteTags(text) {
+    const fm = parseFrontMatter(text);
+    const meta = noteMeta(fm.data, fm.error);
+    const all = meta.tags.map(normalizeTag).filter(isTagName).concat(bodyTags(fm.body));
+    return Array.from(new Set(all));
+  }
+
+  // Rename a tag (and the tags nested under it) in the front matter and the body.
+  // Returns { text, count }; text is unchanged when count is 0.
+  function renameTag(text, from, to) {
+    const src = String(text || '');
+    const oldTag = normalizeTag(from);
+    const newTag = String(to || '').trim().replace(/^#/, '');
+    if (!oldTag || !newTag) return { text: src, count: 0 };
+
+    const eol = src.includes('\r\n') ? '\r\n' : '\n';
+    const lines = src.split(/\r?\n/);
+    const renamed = tag => {
+      const lower = tag.toLowerCase();
+      if (lower === oldTag) return newTag;
+      if (lower.startsWith(oldTag + '/')) return newTag + tag.slice(oldTag.length);
+      return null;
+    };
+    let count = 0;
+
+    // Front matter: the values of a tags:/tag: key, inline or as a "- item" list
+    const fmLines = parseFrontMatter(src).lineCount;
+    let inTags = false;
+    const item = (value) => {
+      return value.replace(/^(\s*)(["']?)#?([^"',\]\s]+)(["']?)(\s*)$/, (all, lead, q1, tag, q2, trail) => {
+        const next = renamed(tag);
+        if (next == null) return all;
+        count++;
+        return `${lead}${q1}${next}${q2}${trail}`;
+      });
+    };
+    for (let i = 1; i < fmLines - 1; i++) {
+      const line = lines[i];
+      const key = line.match(/^(tags?)([ \t]*:[ \t]*)(.*)$/);
+      if (key) {
+        inTags = key[3].trim() === '';
+        const value = key[3];
+        const list = value.match(/^(\s*\[)(.*)(\]\s*)$/);
+        if (list) {
+          lines[i] = key[1] + key[2] + list[1] + list[2].split(',').map(item).join(',') + list[3];
+        } else if (!inTags) {
+          lines[i] = key[1] + key[2] + value.split(/(,)/).map(part => part === ',' ? part : part.split(/(\s+)/).map(w => /^\s*$/.test(w) ? w : item(w)).join('')).join('');
+        }
+        continue;
+      }
+      if (/^\S/.test(line)) {
+        inTags = false;
+        continue;
+      }
+      const listItem = line.match(/^(\s+-\s+)(.*)$/);
+      if (inTags && listItem) lines[i] = listItem[1] + item(listItem[2]);
+    }
+
+    // Body: #tag words outside code
+    const bodyLines = lines.slice(fmLines);
+    forEachProseLine(bodyLines, (prose, i) => {
+      let out = '';
+      let last = 0;
+      const line = bodyLines[i];
+      for (const m of prose.matchAll(TAG_RE)) {
+        const next = renamed(m[2].replace(/[\/-]+$/, ''));
+        if (next == null) continue;
+        const start = m.index + m[1].length + 1;
+        const end = start + m[2].replace(/[\/-]+$/, '').length;
+        out += line.slice(last, start) + next;
+        last = end;
+        count++;
+      }
+      bodyLines[i] = out + line.slice(last);
+    });
+
+    if (!count) return { text: src, count: 0 };
+    return { text: lines.slice(0, fmLines).concat(bodyLines).join(eol), count };
+  }
+
+  const WIKILINK_RE = /!?\[\[([^\[\]\n]+?)\]\]/g;
+
+  // The note a link's inner text points at: "Title#Heading|shown" -> "Title"
+  function wikiLinkTarget(inner) {
+    return String(inner || '').split(/[#|]/)[0].trim();
+  }
+
+  // Folder path segments, "/" or "\\" separated, without empty and "." parts
+  function pathSegments(folder) {
+    return String(folder || '').split(/[\\/]+/).map(part => part.trim()).filter(part => part && part !== '.');
+  }
+
+  // "folder/sub/Title#Heading|shown" -> { target: "folder/sub/Title", folder: "folder/sub",
+  // title: "Title", heading: "Heading", label: "shown" }; missing parts are ''
+  function parseWikiLink(inner) {
+    const src = String(inner || '');
+    const bar = src.indexOf('|');
+    const label = bar >= 0 ? src.slice(bar + 1).trim() : '';
+    const link = bar >= 0 ? src.slice(0, bar) : src;
+    const hash = link.indexOf('#');
+    const heading = hash >= 0 ? link.slice(hash + 1).trim() : '';
+    const segments = pathSegments(hash >= 0 ? link.slice(0, hash) : link);
+    const title = segments.length ? segments[segments.length - 1] : '';
+    const folder = segments.slice(0, -1).join('/');
+    return { target: segments.join('/'), folder, title, heading, label };
+  }
+
+  // Whether a link's folder part names `noteFolder` (both relative to the notes root, "/"
+  // separated): the whole path from the root, the path from the linking note's folder, or a
+  // trailing part of it
+  function linkFolderMatches(linkFolder, noteFolder, fromFolder) {
+    const want = pathSegments(linkFolder).map(part => part.toLowerCase());
+    const have = pathSegments(noteFolder).map(part => part.toLowerCase());
+    if (!want.length) return true;
+    const from = pathSegments(fromFolder).map(part => part.toLowerCase());
+    if (from.concat(want).join('/') === have.join('/')) return true;
+    return want.length <= have.length && have.slice(have.length - want.length).join('/') === want.join('/');
+  }
+
+  // The note a parsed link points at, from `notes` ([{ title, folder, ... }] with folder relative
+  // to the notes root and "/" separated) for a link written in a note in `fromFolder`.
+  // Returns { note, candidates }: note is null when nothing matches or when several notes do
+  // (then candidates lists them).
+  function resolveWikiLink(link, fromFolder, notes) {
+    const title = String(link.title || '').toLowerCase();
+    if (!title) return { note: null, candidates: [] };
+    const named = notes.filter(n => String(n.title).toLowerCase() === title);
+    const here = pathSegments(fromFolder).join('/').toLowerCase();
+    const folderOf = n => pathSegments(n.folder).join('/').toLowerCase();
+
+    let candidates;
+    if (link.folder) {
+      const exact = named.filter(n => folderOf(n) === pathSegments(link.folder).join('/').toLowerCase());
+      candidates = exact.length ? exact : named.filter(n => linkFolderMatches(link.folder, n.folder, fromFolder));
+    } else {
+      const local = named.filter(n => folderOf(n) === here);
+      candidates = local.length ? local : named;
+    }
+    return { note: candidates.length === 1 ? candidates[0] : null, candidates };
+  }
+
+  // The line (counted over the whole text) of the first Markdown heading whose text is
+  // `heading`, compared case-insensitively and ignoring punctuation and spacing, or -1
+  function findHeadingLine(text, heading) {
+    const key = headingKey(heading);
+    if (!key) return -1;
+    const src = String(text || '');
+    const lines = src.split(/\r?\n/);
+    const fmLines = parseFrontMatter(src).lineCount;
+    let found = -1;
+    forEachProseLine(lines.slice(fmLines), (prose, i) => {
+      if (found >= 0) return;
+      const m = lines[i + fmLines].match(/^ {0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/);
+      if (m && headingKey(m[1]) === key) found = i + fmLines;
+    });
+    return found;
+  }
+
+  function headingKey(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Where a note's body refers to `title`: `links` are [[ ]] links to it, `mentions` the title as a
+  // whole phrase in plain text (not in links, code or front matter). Each is { lineNo, line, start,
+  // end } with lineNo counted from 0 over the whole text and start/end offsets within the line.
+  // With `leadsHere` (a function of the parsed link) a link only counts when it returns true, so
+  // links that resolve to a same-titled note elsewhere can be left out.
+  function findReferences(text, title, leadsHere = null) {
+    const src = String(text || '');
+    const wanted = String(title || '').trim().toLowerCase();
+    const links = [];
+    const mentions = [];
+    if (!wanted) return { links, mentions };
+
+    const lines = src.split(/\r?\n/);
+    const fmLines = parseFrontMatter(src).lineCount;
+    const mentionRe = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(wanted)}(?![\\p{L}\\p{N}_])`, 'giu');
+    forEachProseLine(lines.slice(fmLines), (prose, i) => {
+      const lineNo = i + fmLines;
+      const line = lines[lineNo];
+      let plain = prose;
+      for (const m of prose.matchAll(WIKILINK_RE)) {
+        const link = parseWikiLink(m[1]);
+        if (link.title.toLowerCase() === wanted && (!leadsHere || leadsHere(link))) {
+          links.push({ lineNo, line, start: m.index, end: m.index + m[0].length });
+        }
+        plain = plain.slice(0, m.index) + ' '.repeat(m[0].length) + plain.slice(m.index + m[0].length);
+      }
+      for (const m of plain.matchAll(mentionRe)) mentions.push({ lineNo, line, start: m.index, end: m.index + m[0].length });
+    });
+    return { links, mentions };
+  }
+
+  // Every [[ ]] link in a note's body (not in code or front matter): { target, link, embed, lineNo, line,
+  // start, end } with target as wikiLinkTarget gives it, link as parseWikiLink does, embed set for
+  // ![[ ]], lineNo counted over the whole text and start/end within the line
+  function findLinks(text) {
+    const src = String(text || '');
+    const lines = src.split(/\r?\n/);
+    const fmLines = parseFrontMatter(src).lineCount;
+    const found = [];
+    forEachProseLine(lines.slice(fmLines), (prose, i) => {
+      const lineNo = i + fmLines;
+      for (const m of prose.matchAll(WIKILINK_RE)) {
+        const target = wikiLinkTarget(m[1]);
+        if (target) {
+          found.push({ target, link: parseWikiLink(m[1]), embed: m[0][0] === '!', lineNo, line: lines[lineNo], start: m.index, end: m.index + m[0].length });
+        }
+      }
+    });
+    return found;
+  }
+
+  // --- Attachments ---
+
+  const NOTE_FILE_RE = /\.(txt|md)$/i;
+  const IMAGE_FILE_RE = /\.(png|jpg|jpeg|gif|webp)$/i;
+  const AUDIO_FILE_RE = /\.(mp3|wav|aiff|aif|ogg|m4a|flac|wma)$/i;
+  const ATTACHMENT_KINDS = ['image', 'audio', 'file'];
+
+  function attachmentKind(name) {
+    if (IMAGE_FILE_RE.test(name)) return 'image';
+    if (AUDIO_FILE_RE.test(name)) return 'audio';
+    return 'file';
+  }
+
+  // The ways a file name reads as an attachment: [{ base, number }] with base the lowercase note
+  // title and number 1 when the name has none, longest base first ("a.2.png" is note "a.2"'s
+  // image or note "a"'s second attachment). Notes, canvas files, dot-files and names without an
+  // extension have none.
+  function attachmentReadings(name) {
+    const lower = String(name || '').toLowerCase();
+    const dot = lower.lastIndexOf('.');
+    if (dot <= 0 || lower.startsWith('.') || NOTE_FILE_RE.test(lower) || /\.canvas\.(json|png)$/.test(lower)) return [];
+    if (!/^[a-z0-9]{1,10}$/.test(lower.slice(dot + 1))) return [];
+    const legacy = lower.lastIndexOf('.nvimg.');
+    if (legacy > 0) return [{ base: lower.slice(0, legacy), number: 1 }];
+
+    const stem = lower.slice(0, dot);
+    const readings = [{ base: stem, number: 1 }];
+    if (AUDIO_FILE_RE.test(lower) && stem.endsWith('.audio') && stem.length > 6) {
+      readings.push({ base: stem.slice(0, -6), number: 1 });
+    }
+    const numbered = stem.match(/^(.+)\.(\d{1,4})$/);
+    if (numbered && Number(numbered[2]) > 1) readings.push({ base: numbered[1], number: Number(numbered[2]) });
+    return readings;
+  }
+
+  // Which note (out of `titles`, a Set of lowercase note titles in the file's folder) a file is
+  // attached to: { base, number }, or null for none
+  function attachmentOwner(name, titles) {
+    return attachmentReadings(name).find(reading => titles.has(reading.base)) || null;
+  }
+
+  // The file name of a note's attachment number `number`
+  function attachmentFileName(title, number, ext) {
+    return number > 1 ? `${title}.${number}.${ext}` : `${title}.${ext}`;
+  }
+
+  // Order of a note's attachments ({ name, number }): by number, then images, audio and other
+  // files, then by name
+  function compareAttachments(a, b) {
+    return a.number - b.number
+      || ATTACHMENT_KINDS.indexOf(attachmentKind(a.name)) - ATTACHMENT_KINDS.indexOf(attachmentKind(b.name))
+      || a.name.localeCompare(b.name);
+  }
+
+  // --- File references ---
+
+  // "name.ext" with an extension other than a note's
+  const FILE_REF_RE = /\.(?!(?:md|txt)$)[a-z0-9]{1,10}$/i;
+  const MD_IMAGE_RE = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+  // The files a note's text shows: ![[diagram.png]] (a target with a file extension) and
+  // ![alt](images/diagram.png) with a relative path, both relative to the note's folder.
+  // [{ ref, embed, lineNo, start, end }] with ref the path as written (URL-decoded for ![]()) and
+  // embed set for ![[ ]]; whether such a target is a note after all is up to the caller.
+  function findFileRefs(text) {
+    const src = String(text || '');
+    const lines = src.split(/\r?\n/);
+    const fmLines = parseFrontMatter(src).lineCount;
+    const found = [];
+    forEachProseLine(lines.slice(fmLines), (prose, i) => {
+      const lineNo = i + fmLines;
+      for (const m of prose.matchAll(WIKILINK_RE)) {
+        const ref = m[0][0] === '!' ? parseWikiLink(m[1]).target : '';
+        if (FILE_REF_RE.test(ref)) found.push({ ref, embed: true, lineNo, start: m.index, end: m.index + m[0].length });
+      }
+      for (const m of prose.matchAll(MD_IMAGE_RE)) {
+        // Web addresses and absolute paths aren't files next to the note
+        if (/^([a-z][a-z0-9+.-]*:|[\\/])/i.test(m[1])) continue;
+        let ref = m[1];
+        try { ref = decodeURI(ref); } catch (_e) {}
+        found.push({ ref, embed: false, lineNo, start: m.index, end: m.index + m[0].length });
+      }
+    });
+    return found;
+  }
+
+  return { parseFrontMatter, noteMeta, metaFromText, normalizeTag, isTagName, bodyTags, noteTags, renameTag, wikiLinkTarget, parseWikiLink,
+    linkFolderMatches, resolveWikiLink, findHeadingLine, findReferences, findLinks,
+    attachmentKind, attachmentReadings, attachmentOwner, attachmentFileName, compareAttachments, findFileRefs };
+});
@@ -1,5 +1,6 @@
 const { contextBridge, ipcRenderer, webUtils } = require('electron');
 const path = require('path');
+const { pathToFileURL } = require('url');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   // Folder operations
@@ -7,19 +8,59 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveFolderPath: (folderPath) => ipcRenderer.invoke('save-folder-path', folderPath),
   openFolderDialog: () => ipcRenderer.invoke('open-folder-dialog'),
   readFolder: (folderPath) => ipcRenderer.invoke('read-folder', folderPath),
+  searchNotes: (rootPath, query, folderPath) => ipcRenderer.invoke('search-notes', rootPath, query, folderPath),
+  getSavedSearches: (rootPath) => ipcRenderer.invoke('get-saved-searches', rootPath),
+  saveSavedSearches: (rootPath, searches) => ipcRenderer.invoke('save-saved-searches', rootPath, searches),
+  watchFolder: (rootPath) => ipcRenderer.invoke('watch-folder', rootPath),
+  unwatchFolder: () => ipcRenderer.invoke('unwatch-folder'),
+  onFolderChanged: (callback) => ipcRenderer.on('folder-changed', (event, events) => callback(events)),
   
   // File operations
   readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
-  writeFile: (filePath, content) => ipcRenderer.invoke('write-file', filePath, content),
+  writeFile: (filePath, content, expected) => ipcRenderer.invoke('write-file', filePath, content, expected),
   deleteFile: (filePath) => ipcRenderer.invoke('delete-file', filePath),
   fileExists: (filePath) => ipcRenderer.invoke('file-exists', filePath),
   createFolder: (folderPath) => ipcRenderer.invoke('create-folder', folderPath),
+  readNotesTree: (rootPath) => ipcRenderer.invoke('read-notes-tree', rootPath),
+  getTagIndex: (rootPath) => ipcRenderer.invoke('get-tag-index', rootPath),
+  getBacklinks: (rootPath, title, exceptPath) => ipcRenderer.invoke('get-backlinks', rootPath, title, exceptPath),
+  getBrokenLinks: (rootPath) => ipcRenderer.invoke('get-broken-links', rootPath),
+  findStrayAttachments: (rootPath) => ipcRenderer.invoke('find-stray-attachments', rootPath),
+  reattachFiles: (notePath, filePaths) => ipcRenderer.invoke('reattach-files', notePath, filePaths),
+  resolveWikiLinks: (rootPath, fromFolder, linkTexts) => ipcRenderer.invoke('resolve-wiki-links', rootPath, fromFolder, linkTexts),
+  listLinkTargets: (rootPath) => ipcRenderer.invoke('list-link-targets', rootPath),
+  resolveEmbeds: (rootPath, notePath, text) => ipcRenderer.invoke('resolve-embeds', rootPath, notePath, text),
+  getNoteGraph: (rootPath) => ipcRenderer.invoke('get-note-graph', rootPath),
+  listNoteAttachments: (notePath) => ipcRenderer.invoke('list-note-attachments', notePath),
+  addNoteAttachments: (notePath, srcPaths) => ipcRenderer.invoke('add-note-attachments', notePath, srcPaths),
+  reorderNoteAttachments: (notePath, names) => ipcRenderer.invoke('reorder-note-attachments', notePath, names),
+  importNoteFile: (notePath, source) => ipcRenderer.invoke('import-note-file', notePath, source),
+  renameFiles: (moves) => ipcRenderer.invoke('rename-files', moves),
+  onRenameNote: (callback) => ipcRenderer.on('rename-note', callback),
+
+  // Version history
+  listHistory: (filePath) => ipcRenderer.invoke('list-history', filePath),
+  readHistory: (filePath, id) => ipcRenderer.invoke('read-history', filePath, id),
+  snapshotFile: (filePath) => ipcRenderer.invoke('snapshot-file', filePath),
+
+  // Trash
+  moveToTrash: (rootPath, filePaths, info) => ipcRenderer.invoke('move-to-trash', rootPath, filePaths, info),
+  listTrash: (rootPath) => ipcRenderer.invoke('list-trash', rootPath),
+  restoreTrashItem: (rootPath, id) => ipcRenderer.invoke('restore-trash-item', rootPath, id),
+  purgeTrashItem: (rootPath, id) => ipcRenderer.invoke('purge-trash-item', rootPath, id),
+  purgeTrash: (rootPath, olderThanDays) => ipcRenderer.invoke('purge-trash', rootPath, olderThanDays),
+  onOpenTrash: (callback) => ipcRenderer.on('open-trash', callback),
+  onOpenBrokenLinks: (callback) => ipcRenderer.on('open-broken-links', callback),
+  onOpenStrayAttachments: (callback) => ipcRenderer.on('open-stray-attachments', callback),
+  onOpenGraph: (callback) => ipcRenderer.on('open-graph', callback),
   
   // Image operations
   readImageBase64: (filePath) => ipcRenderer.invoke('read-image-base64', filePath),
+  readFileBase64: (filePath) => ipcRenderer.invoke('read-file-base64', filePath),
   writeImageBuffer: (filePath, base64Data) => ipcRenderer.invoke('write-image-buffer', filePath, base64Data),
   copyImage: (srcPath, destPath) => ipcRenderer.invoke('copy-image', srcPath, destPath),
   openImageDialog: () => ipcRenderer.invoke('open-image-dialog'),
+  openAttachmentDialog: () => ipcRenderer.invoke('open-attachment-dialog'),
   
   // Audio operations
   readAudioBase64: (filePath) => ipcRenderer.invoke('read-audio-base64', filePath),
@@ -38,6 +79,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getPreferences: () => ipcRenderer.invoke('get-preferences'),
   savePreferences: (prefs) => ipcRenderer.invoke('save-preferences', prefs),
   onOpenPreferences: (callback) => ipcRenderer.on('open-preferences', callback),
+  onSetViewMode: (callback) => ipcRenderer.on('set-view-mode', callback),
+  onFindReplace: (callback) => ipcRenderer.on('find-replace', callback),
+  getFolderSettings: (folderPath) => ipcRenderer.invoke('get-folder-settings', folderPath),
+  saveFolderSettings: (folderPath, settings) => ipcRenderer.invoke('save-folder-settings', folderPath, settings),
   
   // Local LLM
   openModelDialog: () => ipcRenderer.invoke('open-model-dialog'),
@@ -45,7 +90,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // Dialog operations
   showPrompt: (message, defaultValue) => ipcRenderer.invoke('show-prompt', message, defaultValue),
-  showConfirm: (message) => ipcRenderer.invoke('show-confirm', message),
+  showConfirm: (message, options) => ipcRenderer.invoke('show-confirm', message, options),
   showAlert: (message) => ipcRenderer.invoke('show-alert', message),
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
   
@@ -61,10 +106,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Open file in OS file explorer
   showItemInFolder: (filePath) => ipcRenderer.invoke('show-item-in-folder', filePath),
   openPath: (filePath) => ipcRenderer.invoke('open-path', filePath),
+  openExternal: (url) => ipcRenderer.invoke('open-external', url),
   
   // Path utilities
   joinPath: (...parts) => path.join(...parts),
   basename: (p, ext) => path.basename(p, ext),
   extname: (p) => path.extname(p),
-  dirname: (p) => path.dirname(p)
+  dirname: (p) => path.dirname(p),
+  fileUrl: (p) => pathToFileURL(p).href
 });
\ No newline at end of file
@@ -0,0 +1,386 @@
+// Inverted index over the notes under one notes root, used by the main process for search.
+//
+// Words are lowercase runs of letters, digits and "_". A query matches notes that contain every
+// query word as a word or word prefix, in the title or the text. Notes are ranked by where the
+// words occur (title hits count far more than text hits), how often, how rare the words are
+// across the notes, and a small boost for recently modified notes.
+//
+// Queries (parseQuery) can also hold "exact phrases", /regular expressions/, -exclusions and
+// field filters: has:image|audio|file|canvas|attachment, modified:>2026-01-01, in:folder and tag:name.
+// Any of them can be negated with a leading "-".
+
+const WORD_RE = /[\p{L}\p{N}_]+/gu;
+const TITLE_WEIGHT = 8;
+const PREFIX_WEIGHT = 0.5;       // a word that only starts with the query word counts half
+const RECENCY_BOOST = 0.5;       // at most +50% for a note modified just now...
+const RECENCY_HALF_LIFE_DAYS = 30; // ...fading over about a month
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 140;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(WORD_RE) || [];
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Finds the query words where a word starts, case-insensitively
+function termsRegExp(terms, flags = 'giu') {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})`, flags);
+}
+
+function createSearchIndex(root) {
+  const docs = new Map();     // path -> { path, name, folder, title, titleWords: Set, words: [...], mtimeMs, size }
+  const postings = new Map(); // word -> Map(path -> count in the note's text)
+
+  function remove(filePath) {
+    const doc = docs.get(filePath);
+    if (!doc) return;
+    for (const word of doc.words) {
+      const list = postings.get(word);
+      if (!list) continue;
+      list.delete(filePath);
+      if (list.size === 0) postings.delete(word);
+    }
+    docs.delete(filePath);
+  }
+
+  // Everything at or below a path (a deleted or moved folder)
+  function removeTree(dirPath, sep) {
+    remove(dirPath);
+    const prefix = dirPath + sep;
+    for (const p of Array.from(docs.keys())) {
+      if (p.startsWith(prefix)) remove(p);
+    }
+  }
+
+  function update(filePath, info, text) {
+    remove(filePath);
+    const counts = new Map();
+    for (const word of tokenize(text)) counts.set(word, (counts.get(word) || 0) + 1);
+    for (const [word, count] of counts) {
+      let list = postings.get(word);
+      if (!list) {
+        list = new Map();
+        postings.set(word, list);
+      }
+      list.set(filePath, count);
+    }
+    docs.set(filePath, {
+      path: filePath,
+      name: info.name,
+      folder: info.folder,
+      title: info.title,
+      titleWords: new Set(tokenize(info.title)),
+      words: Array.from(counts.keys()),
+      mtimeMs: info.mtimeMs,
+      size: info.size
+    });
+  }
+
+  function has(filePath, stats) {
+    const doc = docs.get(filePath);
+    return !!doc && doc.mtimeMs === stats.mtimeMs && doc.size === stats.size;
+  }
+
+  // Ranked matches: [{ path, name, folder, score, lastModified }], best first.
+  // `filter(doc)` can narrow the notes considered (e.g. to one folder).
+  function search(terms, filter = null, now = Date.now()) {
+    if (terms.length === 0) return [];
+    const total = docs.size || 1;
+    let scores = null;
+
+    for (const term of terms) {
+      const termScores = new Map();
+      // Text hits, over every indexed word that starts with the term
+      for (const [word, list] of postings) {
+        if (!word.startsWith(term)) continue;
+        const weight = word === term ? 1 : PREFIX_WEIGHT;
+        const idf = Math.log(1 + total / list.size);
+        for (const [p, count] of list) {
+          termScores.set(p, (termScores.get(p) || 0) + weight * (1 + Math.log(count)) * idf);
+        }
+      }
+      // Title hits
+      const titleHits = [];
+      for (const doc of docs.values()) {
+        let best = 0;
+        for (const word of doc.titleWords) {
+          if (word === term) best = 1;
+          else if (!best && word.startsWith(term)) best = PREFIX_WEIGHT;
+        }
+        if (best) titleHits.push([doc.path, best]);
+      }
+      const titleIdf = Math.log(1 + total / Math.max(1, titleHits.length));
+      for (const [p, weight] of titleHits) {
+        termScores.set(p, (termScores.get(p) || 0) + TITLE_WEIGHT * weight * titleIdf);
+      }
+
+      // Every term has to match somewhere
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [p, score] of scores) {
+          if (termScores.has(p)) scores.set(p, score + termScores.get(p));
+          else scores.delete(p);
+        }
+      }
+      if (scores.size === 0) return [];
+    }
+
+    const results = [];
+    for (const [p, score] of scores) {
+      const doc = docs.get(p);
+      if (!doc || (filter && !filter(doc))) continue;
+      const ageDays = Math.max(0, now - doc.mtimeMs) / 86400000;
+      const recency = 1 + RECENCY_BOOST * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+      results.push({ path: p, name: doc.name, folder: doc.folder, score: score * recency, lastModified: doc.mtimeMs });
+    }
+    results.sort((a, b) => (b.score - a.score) || (b.lastModified - a.lastModified));
+    return results;
+  }
+
+  // Every note (for queries with only filters or exclusions), newest first
+  function all(filter = null) {
+    const results = [];
+    for (const doc of docs.values()) {
+      if (filter && !filter(doc)) continue;
+      results.push({ path: doc.path, name: doc.name, folder: doc.folder, score: 0, lastModified: doc.mtimeMs });
+    }
+    results.sort((a, b) => b.lastModified - a.lastModified);
+    return results;
+  }
+
+  return { root, docs, update, remove, removeTree, has, search, all };
+}
+
+// ============ Query language ============
+
+const FILTER_NAMES = ['has', 'modified', 'in', 'tag'];
+const HAS_KINDS = { image: 'image', images: 'image', img: 'image', audio: 'audio', file: 'file', files: 'file', canvas: 'canvas', drawing: 'canvas', attachment: 'any', attachments: 'any' };
+const TAG_NAME_RE = /^[\p{L}\p{N}_][\p{L}\p{N}_\/-]*$/u;
+
+// "2026", "2026-03" or "2026-03-15" as [start, end) in local time
+function parseDateRange(value) {
+  const m = String(value).match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!m) return null;
+  const year = Number(m[1]);
+  const month = m[2] ? Number(m[2]) - 1 : null;
+  const day = m[3] ? Number(m[3]) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day !== null && (day < 1 || day > new Date(year, month + 1, 0).getDate())) return null;
+  if (day !== null) return [new Date(year, month, day).getTime(), new Date(year, month, day + 1).getTime()];
+  if (month !== null) return [new Date(year, month, 1).getTime(), new Date(year, month + 1, 1).getTime()];
+  return [new Date(year, 0, 1).getTime(), new Date(year + 1, 0, 1).getTime()];
+}
+
+function parseFilter(name, value, negate) {
+  const field = name.toLowerCase();
+  if (!value) throw new Error(`"${name}:" needs a value, e.g. ${field === 'has' ? 'has:audio' : field === 'modified' ? 'modified:>2026-01-01' : field === 'in' ? 'in:projects' : 'tag:ideas'}`);
+  if (field === 'has') {
+    const kind = HAS_KINDS[value.toLowerCase()];
+    if (!kind) throw new Error(`Unknown attachment type in "has:${value}" - use image, audio, file, canvas or attachment`);
+    return { field, kind, negate };
+  }
+  if (field === 'modified') {
+    const m = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const range = parseDateRange(m[2]);
+    if (!range) throw new Error(`"modified:${value}" needs a date like 2026-01-31, 2026-01 or 2026, optionally after >, >=, < or <=`);
+    return { field, op: m[1] || '=', from: range[0], to: range[1], negate };
+  }
+  if (field === 'in') {
+    const segments = value.toLowerCase().split(/[\\/]+/).filter(Boolean);
+    if (!segments.length) throw new Error(`"in:${value}" needs a folder name`);
+    return { field, segments, negate };
+  }
+  const tag = value.replace(/^#/, '').toLowerCase();
+  if (!TAG_NAME_RE.test(tag)) throw new Error(`"tag:${value}" is not a valid tag name`);
+  return { field, tag, negate };
+}
+
+// Parse a search query. Returns { terms, phrases, regexes, exclude: { terms, phrases, regexes },
+// filters, plain, error }; `plain` is true for a query of words only, `error` describes a query
+// that can't be understood (nothing else is filled in then).
+function parseQuery(input) {
+  const query = { terms: [], phrases: [], regexes: [], exclude: { terms: [], phrases: [], regexes: [] }, filters: [], plain: true, error: null };
+  const str = String(input || '');
+  let i = 0;
+
+  const readQuoted = () => {
+    const end = str.indexOf('"', i + 1);
+    if (end < 0) throw new Error(`Missing closing quote in ${str.slice(i, i + 30)}`);
+    const text = str.slice(i + 1, end);
+    i = end + 1;
+    return text;
+  };
+
+  try {
+    while (i < str.length) {
+      if (/\s/.test(str[i])) {
+        i++;
+        continue;
+      }
+      let negate = false;
+      if (str[i] === '-') {
+        if (i + 1 >= str.length || /\s/.test(str[i + 1])) throw new Error('A "-" must be followed by a word, "phrase", /regex/ or filter to exclude');
+        negate = true;
+        i++;
+      }
+      const target = negate ? query.exclude : query;
+      if (negate) query.plain = false;
+
+      if (str[i] === '"') {
+        const phrase = readQuoted().trim();
+        if (phrase) target.phrases.push(phrase);
+        query.plain = false;
+        continue;
+      }
+
+      if (str[i] === '/') {
+        let j = i + 1;
+        while (j < str.length && str[j] !== '/') j += str[j] === '\\' ? 2 : 1;
+        if (j >= str.length) throw new Error(`Missing closing / in ${str.slice(i, i + 30)}`);
+        const source = str.slice(i + 1, j);
+        const flags = (str.slice(j + 1).match(/^[a-z]*/) || [''])[0];
+        i = j + 1 + flags.length;
+        if (!source) throw new Error('Empty regular expression //');
+        if (/[^imsu]/.test(flags)) throw new Error(`Unsupported regular expression flags "${flags}" - use i, m, s or u`);
+        let re;
+        try {
+          re = new RegExp(source, flags || 'i');
+        } catch (e) {
+          throw new Error(`Invalid regular expression /${source}/: ${e.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '')}`);
+        }
+        target.regexes.push(re);
+        query.plain = false;
+        continue;
+      }
+
+      let j = i;
+      while (j < str.length && !/\s/.test(str[j])) j++;
+      const word = str.slice(i, j);
+      const field = word.match(/^([a-z]+):(.*)$/i);
+      if (field && FILTER_NAMES.includes(field[1].toLowerCase())) {
+        i += field[1].length + 1;
+        const value = str[i] === '"' ? readQuoted().trim() : (i = j, field[2]);
+        query.filters.push(parseFilter(field[1], value, negate));
+        query.plain = false;
+        continue;
+      }
+      i = j;
+      target.terms.push(...tokenize(word));
+    }
+  } catch (e) {
+    return { ...query, error: e.message };
+  }
+
+  query.terms = Array.from(new Set(query.terms));
+  return query;
+}
+
+function phraseRegExp(phrase, flags = 'iu') {
+  const words = phrase.split(/\s+/).map(escapeRegExp).join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${words}`, flags);
+}
+
+// The words a query has to find in the index (its words plus those of its phrases)
+function queryIndexTerms(query) {
+  const terms = new Set(query.terms);
+  for (const phrase of query.phrases) for (const word of tokenize(phrase)) terms.add(word);
+  return Array.from(terms);
+}
+
+// Checks a candidate note against everything in the query but the word lookup.
+// `note` is { content, mtimeMs, folderSegments: [...], tags: [...] | () => [...], has: { image, audio, canvas } | () => {...} }
+function matchesQuery(query, note) {
+  const text = note.content;
+  const value = (v) => (typeof v === 'function' ? v() : v);
+  for (const phrase of query.phrases) if (!phraseRegExp(phrase).test(text)) return false;
+  for (const re of query.regexes) if (!re.test(text)) return false;
+  for (const term of query.exclude.terms) if (termsRegExp([term], 'iu').test(text)) return false;
+  for (const phrase of query.exclude.phrases) if (phraseRegExp(phrase).test(text)) return false;
+  for (const re of query.exclude.regexes) if (re.test(text)) return false;
+
+  for (const filter of query.filters) {
+    let ok;
+    if (filter.field === 'has') {
+      const has = value(note.has);
+      ok = filter.kind === 'any' ? (has.image || has.audio || has.file || has.canvas) : !!has[filter.kind];
+    } else if (filter.field === 'modified') {
+      const t = note.mtimeMs;
+      if (filter.op === '>') ok = t >= filter.to;
+      else if (filter.op === '>=') ok = t >= filter.from;
+      else if (filter.op === '<') ok = t < filter.from;
+      else if (filter.op === '<=') ok = t < filter.to;
+      else ok = t >= filter.from && t < filter.to;
+    } else if (filter.field === 'in') {
+      // The folder names in order anywhere in the note's folder path below the root
+      const segs = note.folderSegments.map(seg => seg.toLowerCase());
+      ok = false;
+      for (let k = 0; k + filter.segments.length <= segs.length && !ok; k++) {
+        ok = filter.segments.every((seg, n) => segs[k + n] === seg);
+      }
+    } else {
+      ok = value(note.tags).some(t => t === filter.tag || t.startsWith(filter.tag + '/'));
+    }
+    if (ok === filter.negate) return false;
+  }
+  return true;
+}
+
+// A short piece of `text` around the first hit, with the hit ranges to highlight.
+// Returns { text, ranges: [[start, end]], offset } where offset is the first hit in `text`
+// (-1 when only the title matched; the snippet is then the start of the text).
+function makeSnippet(text, terms, from = 0, regexes = []) {
+  const source = String(text || '');
+  const matchers = (terms.length ? [termsRegExp(terms)] : []).concat(regexes.map(re => new RegExp(re.source, re.flags.replace('g', '') + 'g')));
+  let offset = -1;
+  for (const re of matchers) {
+    re.lastIndex = from;
+    const m = re.exec(source);
+    if (m && (offset < 0 || m.index < offset)) offset = m.index;
+  }
+
+  let start = offset < 0 ? from : Math.max(from, offset - SNIPPET_BEFORE);
+  let end = Math.min(source.length, (offset < 0 ? from : offset) + SNIPPET_AFTER);
+  // Don't cut words in half
+  if (start > from) {
+    const space = source.slice(start, offset < 0 ? end : offset).search(/\s/);
+    if (space >= 0) start += space + 1;
+  }
+  if (end < source.length) {
+    const space = source.slice(start, end).search(/\s\S*$/);
+    if (space > 0) end = start + space;
+  }
+
+  const snippet = (start > from ? '…' : '') + source.slice(start, end).replace(/\s+/g, ' ').trim() + (end < source.length ? '…' : '');
+  let ranges = [];
+  if (terms.length) {
+    const marks = termsRegExp(terms);
+    let m;
+    while ((m = marks.exec(snippet))) {
+      // Highlight the whole word the term starts
+      const word = snippet.slice(m.index).match(/^[\p{L}\p{N}_]+/u);
+      const length = word ? word[0].length : m[0].length;
+      ranges.push([m.index, m.index + length]);
+      marks.lastIndex = m.index + length;
+    }
+  }
+  for (const re of regexes) {
+    for (const m of snippet.matchAll(new RegExp(re.source, re.flags.replace('g', '') + 'g'))) {
+      if (m[0]) ranges.push([m.index, m.index + m[0].length]);
+    }
+  }
+  // Sorted, with overlapping ranges merged
+  ranges.sort((a, b) => a[0] - b[0]);
+  ranges = ranges.reduce((out, r) => {
+    const prev = out[out.length - 1];
+    if (prev && r[0] <= prev[1]) prev[1] = Math.max(prev[1], r[1]);
+    else out.push([r[0], r[1]]);
+    return out;
+  }, []);
+  return { text: snippet, ranges, offset };
+}
+
+module.exports = { tokenize, createSearchIndex, makeSnippet, parseQuery, queryIndexTerms, matchesQuery };